@@ -4,7 +4,22 @@ const express = require('express');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { convertDocSendToPDF, createPDFFromScreenshots } = require('./docsend');
+const { convertDocSendToPDF, createPDFPartsFromScreenshots, createZipFromScreenshots, createZip } = require('./docsend');
+const { createConversionQueue } = require('./queue');
+const { createBrowserPool } = require('./pool');
+const { createConversionCache } = require('./cache');
+const { createDedupeStore, createFileBackend } = require('./dedupe');
+const { createSettingsStore, parseSetting, parseEmail, parseSwitch } = require('./settings');
+const { createIdentityStore } = require('./identities');
+const { createLinkParser } = require('./links');
+const { createSlackPrompts } = require('./prompts');
+const { codeProviderFromEnv } = require('./verification');
+const { ConversionError, PdfBuildFailed, UploadFailed, QueueFull } = require('./errors');
+const { createLogger, withJob, newJobId } = require('./logger');
+const { createConversionMetrics } = require('./metrics');
+const { createHealthChecks, missingEnv } = require('./health');
+
+const log = createLogger('app');
 
 // Initialize Express app
 const expressApp = express();
@@ -16,6 +31,12 @@ expressApp.use((req, res, next) => {
     req.rawBody += chunk;
   });
   req.on('end', () => {
+    // Slash commands arrive form-encoded; events arrive as JSON
+    if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+      req.body = Object.fromEntries(new URLSearchParams(req.rawBody));
+      next();
+      return;
+    }
     try {
       req.body = JSON.parse(req.rawBody);
     } catch (e) {
@@ -25,38 +46,95 @@ expressApp.use((req, res, next) => {
   });
 });
 
-// Add request logging middleware
+// Add request logging middleware. Headers and bodies only at LOG_LEVEL=debug;
+// slash command text and interaction payloads can carry a passcode that
+// isn't in `pw:` form, so those bodies are never logged. Probes and scrapes
+// of /healthz, /readyz and /metrics are only logged at debug.
 expressApp.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  console.log('Headers:', req.headers);
-  console.log('Body:', req.body);
+  (['/healthz', '/readyz', '/metrics'].includes(req.path) ? log.debug : log.info)(`${req.method} ${req.path}`);
+  log.debug('Request details', {
+    headers: req.headers,
+    ...(['/slack/commands', '/slack/interactions'].includes(req.path) ? {} : { body: req.body })
+  });
   next();
 });
 
-// Track processed messages to prevent duplicates
-const processedMessages = new Set();
+// Events and message links already handled, kept across restarts so Slack's
+// retries after a deploy don't produce duplicate PDFs. DEDUPE_FILE (default
+// data/dedupe.json) must be on persistent storage for that to hold.
+const dedupeStore = createDedupeStore({
+  backend: createFileBackend(process.env.DEDUPE_FILE || undefined),
+  ttlMs: (Number(process.env.DEDUPE_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
+setInterval(() => dedupeStore.prune().catch(error => log.error('Dedupe prune failed:', error)), 60 * 60 * 1000).unref();
+
+// Conversions wait here so only a few Chromium instances run at once
+const conversionQueue = createConversionQueue({
+  concurrency: Number(process.env.CONVERSION_CONCURRENCY) || 1,
+  perChannel: Number(process.env.CONVERSION_PER_CHANNEL) || 1,
+  maxQueued: Number(process.env.CONVERSION_QUEUE_MAX) || 20,
+  maxParked: process.env.CONVERSION_PARKED_MAX !== undefined ? Number(process.env.CONVERSION_PARKED_MAX) : 1
+});
+
+// Conversion counters, timings and queue depth, scraped from GET /metrics
+const metrics = createConversionMetrics({ queue: conversionQueue });
 
-// Health check function
-async function checkHealth() {
-  console.log('Running health check...');
+// One warm browser per queue worker, plus room for the conversions parked on a
+// prompt; each conversion gets its own incognito context
+const browserPool = createBrowserPool({
+  size: conversionQueue.stats().concurrency,
+  maxSize: conversionQueue.stats().concurrency + conversionQueue.stats().maxParked,
+  maxJobsPerBrowser: Number(process.env.BROWSER_MAX_JOBS) || 20
+});
 
-  // Check for required environment variables
-  const requiredEnvVars = [
-    'SLACK_BOT_TOKEN',
-    'SLACK_SIGNING_SECRET',
-    'DOCSEND_EMAIL',
-    'PORT'
-  ];
+// Per-channel settings, managed by admins with `/docsend config`
+const channelSettings = createSettingsStore(
+  process.env.SETTINGS_FILE ? { file: process.env.SETTINGS_FILE } : {}
+);
 
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  if (missingVars.length > 0) {
-    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+// Per-user DocSend emails, set with `/docsend identity`. Profile emails (when
+// an admin allows them) need the users:read.email scope.
+const identities = createIdentityStore({
+  ...(process.env.IDENTITIES_FILE ? { file: process.env.IDENTITIES_FILE } : {}),
+  lookupProfileEmail: async (userId) => {
+    const { user } = await app.client.users.info({ user: userId });
+    return (user && user.profile && user.profile.email) || null;
   }
+});
+
+// DocSend links in messages and commands; DOCSEND_CUSTOM_DOMAINS lists branded
+// domains (e.g. docs.example.com) that serve DocSend links
+const linkParser = createLinkParser({
+  customDomains: (process.env.DOCSEND_CUSTOM_DOMAINS || '').split(',')
+});
 
-  console.log('Health check passed');
+// Workspace policy for documents behind an NDA / agreement interstitial.
+// Accepting is opt-in and needs a signer name to record on the agreement.
+const NDA_POLICY = process.env.DOCSEND_NDA_POLICY === 'accept' ? 'accept' : 'refuse';
+const NDA_SIGNER = process.env.DOCSEND_NDA_SIGNER || null;
+if (NDA_POLICY === 'accept' && !NDA_SIGNER) {
+  log.warn('DOCSEND_NDA_POLICY=accept but DOCSEND_NDA_SIGNER is not set; agreements will be refused');
 }
 
-// Health check endpoint (handles both GET and HEAD)
+// Finished PDFs, so a deck reposted elsewhere is answered without a new capture
+const conversionCache = createConversionCache({
+  ...(process.env.CONVERSION_CACHE_DIR ? { dir: process.env.CONVERSION_CACHE_DIR } : {}),
+  ttlMs: (process.env.CONVERSION_CACHE_TTL_HOURS !== undefined
+    ? Number(process.env.CONVERSION_CACHE_TTL_HOURS)
+    : 24) * 60 * 60 * 1000
+});
+setInterval(() => conversionCache.prune().catch(error => log.error('Cache prune failed:', error)), 60 * 60 * 1000).unref();
+
+// Extra attempts for a page that fails to capture before a partial PDF is posted
+const CAPTURE_PAGE_RETRIES = Number(process.env.CAPTURE_PAGE_RETRIES || 2);
+
+// Documents captured from one DocSend Space (data room) link
+const SPACE_MAX_DOCUMENTS = Number(process.env.SPACE_MAX_DOCUMENTS || 25);
+
+// PDFs over this size are recompressed, then split into parts, before upload
+const PDF_MAX_BYTES = Number(process.env.PDF_MAX_MB || 50) * 1024 * 1024;
+
+// Landing page (handles both GET and HEAD); see /healthz and /readyz for probes
 expressApp.get('/', (req, res) => {
   res.send('DocSend to PDF Slack Bot is running!');
 });
@@ -64,25 +142,78 @@ expressApp.head('/', (req, res) => {
   res.status(200).end();
 });
 
+// Liveness: the process is up and serving HTTP
+expressApp.get('/healthz', (req, res) => {
+  res.json(health.liveness());
+});
+
+// Readiness: a pool browser works, the bot token works and the backlog has
+// room. 503 while any check fails. Not for restarts: Render probes /healthz.
+expressApp.get('/readyz', (req, res) => {
+  health.readiness()
+    .then(report => res.status(report.status === 'pass' ? 200 : 503).json(report))
+    .catch((error) => {
+      log.error('Readiness check crashed:', error);
+      res.status(503).json({ status: 'fail', error: error.message });
+    });
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token.
+expressApp.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const given = Buffer.from(req.get('authorization') || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      res.status(401).send('Unauthorized');
+      return;
+    }
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
 // Initialize Slack app
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
   signingSecret: process.env.SLACK_SIGNING_SECRET
 });
 
+// DMs that ask the requester for a missing passcode (or the operator for a
+// verification code); the capture waits on the gate, holding its queue slot
+// and browser, until they answer or time out
+const slackPrompts = createSlackPrompts({
+  client: app.client,
+  timeoutMs: Number(process.env.PASSCODE_PROMPT_TIMEOUT_MINUTES || 5) * 60 * 1000
+});
+
+// Checks behind /readyz. READY_QUEUE_MAX defaults to CONVERSION_QUEUE_MAX, so
+// the bot stops taking traffic once new conversions would be turned away.
+const health = createHealthChecks({
+  client: app.client,
+  queue: conversionQueue,
+  pool: browserPool,
+  ...(process.env.READY_QUEUE_MAX ? { maxQueued: Number(process.env.READY_QUEUE_MAX) } : {}),
+  chromiumTtlMs: Number(process.env.READY_CHROMIUM_TTL_MINUTES || 10) * 60 * 1000
+});
+
+// Source of email verification codes (VERIFICATION_PROVIDER), or null
+const verificationCodes = codeProviderFromEnv(process.env, { prompts: slackPrompts });
+
 // Verify Slack request signature
 const verifySlackRequest = (req) => {
   const timestamp = req.headers['x-slack-request-timestamp'];
   const signature = req.headers['x-slack-signature'];
 
   if (!timestamp || !signature) {
-    console.log('Missing Slack signature headers');
+    log.warn('Missing Slack signature headers');
     return false;
   }
 
   // Verify request is not older than 5 minutes
   if (Math.abs(Date.now() / 1000 - timestamp) > 300) {
-    console.log('Request too old');
+    log.warn('Request too old');
     return false;
   }
 
@@ -95,176 +226,1083 @@ const verifySlackRequest = (req) => {
     .update(sigBasestring)
     .digest('hex')}`;
 
-  console.log('Verifying signature:', {
-    received: signature,
-    computed: mySignature,
-    basestring: sigBasestring
-  });
-
-  return crypto.timingSafeEqual(
+  // Neither signature nor the basestring (which holds the request body) is logged
+  const valid = signature.length === mySignature.length && crypto.timingSafeEqual(
     Buffer.from(signature),
     Buffer.from(mySignature)
   );
+  if (!valid) log.warn('Slack signature mismatch');
+  return valid;
 };
 
+// Short progress label for a convertDocSendToPDF checkpoint, or null for
+// checkpoints users don't need to hear about
+function progressLabel(name, extra = {}) {
+  if (name === 'initial-load') return 'Opening document…';
+  if (name === 'passcode-requested') return 'Waiting for the passcode (I sent a DM to ask for it)…';
+  if (/^verification-/.test(name)) return 'Confirming the email address…';
+  if (/^(email|password|passcode|continue)-/.test(name)) return 'Authenticating…';
+  if (name === 'nda-detected') return 'Handling agreement (NDA)…';
+  if (name === 'capture-ready' || name === 'capture-ready-vertical') return 'Capturing pages…';
+  const pageMatch = name.match(/^capture-(?:vertical-)?page-(\d+)$/);
+  if (pageMatch) {
+    return extra.total
+      ? `Capturing page ${pageMatch[1]}/${extra.total}…`
+      : `Capturing page ${pageMatch[1]}…`;
+  }
+  return null;
+}
+
+// Convert a DocSend link and upload the resulting PDF to the channel (and thread, if given)
+async function convertAndUpload({ line, settings, channel, threadTs, docsendUrl, docId, messageText, passcode, requester, whileWaiting }) {
+  const progress = (label) => {
+    if (settings.output.progress) line.set(`Converting DocSend document to PDF... ${label}`);
+  };
+  let agreementSigner = null;
+  // The passcode the capture got in with: the one given, or the last answer
+  // to the prompt
+  let usedPasscode = passcode || null;
+  let expectedPages = null;
+  // Space links (and custom /v/ links that turn out to be Spaces) are
+  // captured in the same session as their landing page; from then on
+  // progress is reported per Space document
+  const space = spaceHandlers({ line, settings });
+  let isSpace = false;
+  const onCheckpoint = async (name, { extra } = {}) => {
+    if (isSpace) return space.onCheckpoint(name, { extra });
+    if (name === 'space-detected') isSpace = true;
+    if (name === 'nda-accepted') agreementSigner = extra.signer;
+    if (name === 'metadata') expectedPages = extra.pageCount;
+    metrics.checkpoint(name, extra);
+    const label = progressLabel(name, { total: expectedPages, ...extra });
+    if (label) progress(label);
+  };
+
+  const options = await captureOptions(settings, {
+    passcode,
+    requester,
+    whileWaiting,
+    onPasscode: (answer) => { usedPasscode = answer; }
+  });
+  const captureStarted = Date.now();
+  const result = await convertDocSendToPDF(docsendUrl, messageText, {
+    ...options,
+    onCheckpoint,
+    // Captured in the session that got past the link's gates, so the
+    // requester isn't asked for the passcode again
+    spaceCapture: { onDocument: space.onDocument, maxDocuments: SPACE_MAX_DOCUMENTS }
+  });
+  if (result && result.space) {
+    metrics.captureDuration.observe((Date.now() - captureStarted) / 1000, { kind: 'space' });
+    return uploadSpace({ channel, threadTs, settings, space: result.space, handlers: space });
+  }
+  const { screenshots, metadata } = result || {};
+  if (!screenshots || !Array.isArray(screenshots)) {
+    throw new ConversionError('No screenshots returned from convertDocSendToPDF', { stage: 'capture' });
+  }
+  metrics.captureDuration.observe((Date.now() - captureStarted) / 1000, { kind: 'document' });
+  metrics.documentPages.observe(screenshots.length);
+  log.info(`Captured ${screenshots.length} pages, creating PDF...`);
+
+  // Build the requested artifacts: PDF (default), ZIP of page images, or both
+  const format = settings.output.format;
+  const artifacts = {};
+  if (format !== 'zip') {
+    progress('Building PDF…');
+    const pdfParts = await createPDFPartsFromScreenshots(screenshots, metadata, { maxBytes: PDF_MAX_BYTES });
+
+    // Verify PDF buffers are valid
+    if (!pdfParts.length || pdfParts.some(({ pdf }) => !pdf || !Buffer.isBuffer(pdf))) {
+      throw new PdfBuildFailed('Invalid PDF buffer generated');
+    }
+
+    log.info('PDF buffer sizes:', pdfParts.map(({ pdf }) => pdf.length).join(', '), 'bytes');
+    pdfParts.forEach(({ pdf }) => metrics.pdfBytes.observe(pdf.length));
+    // Only single, verified-complete PDFs with no suspect pages are cached;
+    // anything else goes through a new capture when it is reposted
+    const complete = Boolean(metadata.completeness && metadata.completeness.complete) &&
+      !(metadata.suspectPages && metadata.suspectPages.length);
+    if (pdfParts.length === 1 && complete) {
+      // Reposts only get this copy with the same passcode
+      await conversionCache.set(docId, { passcode: usedPasscode, email: options.email }, {
+        pdf: pdfParts[0].pdf,
+        pageCount: metadata.pageCount,
+        title: metadata.title,
+        owner: metadata.owner
+      });
+    }
+    artifacts.pdfParts = pdfParts;
+  }
+  if (format === 'zip' || format === 'both') {
+    progress('Packing page images…');
+    artifacts.zip = await createZipFromScreenshots(screenshots);
+  }
+
+  let notes = '';
+  const unverified = !metadata.completeness || !metadata.completeness.verified;
+  if (metadata.partial) {
+    notes += ` This copy is incomplete: ${describePages(metadata.missingPages)} could not be captured.`;
+  } else if (unverified) {
+    notes += ' DocSend didn\'t show a page count, so this copy couldn\'t be checked for missing pages.';
+  }
+  const suspectPages = metadata.suspectPages || [];
+  if (suspectPages.length) {
+    const reasons = [...new Set(suspectPages.map(({ reason }) => reason))].join(' or ');
+    const which = describePages(suspectPages.map(({ page }) => page)).replace(/^p/, 'P');
+    notes += ` ${which} still looked ${reasons} after every capture method; check ${suspectPages.length === 1 ? 'it' : 'them'} against the original.`;
+  }
+  if (artifacts.pdfParts && artifacts.pdfParts.length > 1) {
+    notes += ` The PDF is too large for one Slack upload, so it is split into ${artifacts.pdfParts.length} parts.`;
+  }
+  if (agreementSigner) notes += ` Its agreement (NDA) was accepted as ${agreementSigner}.`;
+  progress('Uploading…');
+  await uploadArtifacts({
+    channel,
+    threadTs,
+    docId,
+    metadata,
+    artifacts,
+    comment: `Here is your DocSend document ${FORMAT_DESCRIPTIONS[format]}.${notes}`
+  });
+  return { missingPages: metadata.partial ? metadata.missingPages : [], unverified };
+}
+
+// Who a capture views the document as: the requester's identity, else the
+// channel's email, else DOCSEND_EMAIL. Also part of the cache key.
+async function viewerFor(settings, requester) {
+  const identity = await identities.get(requester);
+  return { identity, email: (identity && identity.email) || settings.email || process.env.DOCSEND_EMAIL || null };
+}
+
+// How prompts name a document: its ID, never the link, which the bot would
+// pick up from its own DM and start converting
+function promptLabel(url) {
+  const link = linkParser.parseUrl(url);
+  return link ? `DocSend document ${link.docId}` : 'the DocSend document';
+}
+
+// Options shared by every capture for a channel. With a requester, a missing
+// or rejected passcode is asked for in a DM instead of failing the capture,
+// and the document is viewed as the requester's identity if they have one
+// (over the channel's email and DOCSEND_EMAIL). Verification codes for an
+// identity go to the requester's own inbox, so they are asked for the code.
+// Every wait for a person runs inside the queue's `whileWaiting`, which lets
+// other conversions have the worker slot meanwhile.
+async function captureOptions(settings, { passcode, requester, whileWaiting = fn => fn(), onPasscode = () => {} }) {
+  const { identity, email } = await viewerFor(settings, requester);
+  const requestVerificationCode = identity
+    ? ({ url }) => whileWaiting(() => slackPrompts.ask({ kind: 'verification', user: requester, document: promptLabel(url), email: identity.email }))
+    : verificationCodes && (request => whileWaiting(() => verificationCodes.getCode({ ...request, document: promptLabel(request.url) })));
+  return {
+    pool: browserPool,
+    passcode,
+    ...(requester ? {
+      requestPasscode: async ({ url, rejected }) => {
+        const answer = await whileWaiting(() => slackPrompts.ask({ user: requester, document: promptLabel(url), rejected }));
+        if (answer) onPasscode(answer);
+        return answer;
+      }
+    } : {}),
+    ...(requestVerificationCode ? { requestVerificationCode } : {}),
+    ...(email ? { email } : {}),
+    ndaPolicy: NDA_POLICY,
+    ndaSigner: NDA_SIGNER,
+    pageRetries: CAPTURE_PAGE_RETRIES
+  };
+}
+
+// Progress and per-document handlers for a Space capture. Each document's PDF
+// is built as soon as it is captured (into `built`), so only one document's
+// screenshots are held at a time.
+function spaceHandlers({ line, settings }) {
+  const progress = (label) => {
+    if (settings.output.progress) line.set(`Converting DocSend Space... ${label}`);
+  };
+  let current = null;
+  let expectedPages = null;
+  const onCheckpoint = async (name, { extra } = {}) => {
+    if (name === 'space-listed') progress(`Found ${extra.total} documents…`);
+    if (name === 'space-document') {
+      current = extra;
+      expectedPages = null;
+    }
+    if (name === 'metadata') expectedPages = extra.pageCount;
+    metrics.checkpoint(name, extra);
+    const label = progressLabel(name, { total: expectedPages, ...extra });
+    if (label) progress(current ? `Document ${current.index}/${current.total} (${current.name}): ${label}` : label);
+  };
+
+  const built = [];
+  const onDocument = async ({ index, name, result }) => {
+    if (!result) return;
+    metrics.documentPages.observe(result.screenshots.length);
+    const pdfParts = await createPDFPartsFromScreenshots(result.screenshots, result.metadata, { maxBytes: PDF_MAX_BYTES });
+    pdfParts.forEach(({ pdf }) => metrics.pdfBytes.observe(pdf.length));
+    built.push({ index, name, metadata: result.metadata, pdfParts });
+  };
+  return { progress, onCheckpoint, onDocument, built };
+}
+
+// Post a captured Space. Depending on the output format the PDFs are posted
+// one per document, packed into a single ZIP, or both, under a summary of
+// document names and page counts.
+async function uploadSpace({ channel, threadTs, settings, space, handlers: { progress, built } }) {
+  const format = settings.output.format;
+  const width = String(space.documents.length).length;
+  const files = built.flatMap(({ index, name, pdfParts }) => pdfParts.map(({ pdf, part, parts }) => {
+    const base = `${String(index).padStart(width, '0')}-${artifactBasename(name, `document-${index}`)}`;
+    return {
+      file: pdf,
+      filename: parts > 1 ? `${base}-part-${part}-of-${parts}.pdf` : `${base}.pdf`,
+      title: parts > 1 ? `${name} — part ${part} of ${parts}` : name
+    };
+  }));
+
+  const uploads = [];
+  if (format !== 'zip') uploads.push(...files);
+  if (format === 'zip' || format === 'both') {
+    progress('Packing documents…');
+    uploads.push({
+      file: await createZip(files.map(({ file, filename }) => ({ name: filename, data: file }))),
+      filename: `${artifactBasename(space.title, 'docsend-space')}.zip`,
+      title: `${space.title || 'DocSend Space'} (all documents)`
+    });
+  }
+
+  progress('Uploading…');
+  const summary = describeSpace(space, built);
+  if (uploads.length) {
+    await uploadFiles({ channel, threadTs, files: uploads, comment: summary });
+  } else {
+    await app.client.chat.postMessage({ channel, thread_ts: threadTs, text: summary });
+  }
+  return { missingPages: [], unverified: false, space: { converted: built.length, total: space.documents.length } };
+}
+
+// Summary posted with a Space's files: one line per document with its page
+// count, or why it is missing or incomplete
+function describeSpace(space, built) {
+  const heading = `${space.title ? `*${space.title}*` : 'DocSend Space'}${space.owner ? ` (${space.owner})` : ''}: ${space.documents.length} document${space.documents.length === 1 ? '' : 's'}`;
+  const lines = space.documents.map((doc, i) => {
+    if (doc.error) {
+      const failure = doc.error instanceof ConversionError && FAILURE_MESSAGES[doc.error.code];
+      return `• ${doc.name} — not converted. ${failure ? failure.message : 'It might require special access.'}`;
+    }
+    const entry = built.find(b => b.index === i + 1);
+    const metadata = entry ? entry.metadata : {};
+    const pages = doc.pageCount ? `${doc.pageCount} page${doc.pageCount === 1 ? '' : 's'}` : 'page count unknown';
+    const missing = metadata.partial ? `, ${describePages(metadata.missingPages)} missing` : '';
+    return `• ${doc.name} — ${pages}${missing}`;
+  });
+  if (space.skipped) lines.push(`• …and ${space.skipped} more not converted (limit ${SPACE_MAX_DOCUMENTS} per Space)`);
+  return [heading, ...lines].join('\n');
+}
+
+// [30, 31, 32, 35] -> "pages 30–32 and 35"
+function describePages(pageNumbers) {
+  const ranges = [];
+  for (const n of [...pageNumbers].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
+  }
+  const parts = ranges.map(([from, to]) => (from === to ? `${from}` : `${from}–${to}`));
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+  return pageNumbers.length === 1 ? `page ${list}` : `pages ${list}`;
+}
+
+// DocSend page labels of one PDF part -> "pages 1–12 and 15". Labels that
+// aren't all numbers are given as a first–last range.
+function describePartPages(labels) {
+  if (labels.every(Number.isInteger)) return describePages(labels);
+  return labels.length === 1 ? `page ${labels[0]}` : `pages ${labels[0]}–${labels[labels.length - 1]}`;
+}
+
+const FORMAT_DESCRIPTIONS = {
+  pdf: 'converted to PDF',
+  zip: 'as a ZIP of page images',
+  both: 'as a PDF and a ZIP of page images'
+};
+
+// Per-request output format from a `format:zip` style keyword, if any
+function requestedFormat(text) {
+  return (text.match(/(?:^|\s)format:(pdf|zip|both)(?=\s|$)/i)?.[1] || '').toLowerCase() || null;
+}
+
+// "Series A Deck (Final)" -> "Series-A-Deck-Final"; falls back to the doc ID
+function artifactBasename(title, docId) {
+  const base = (title || '')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80);
+  return base || docId;
+}
+
+// Upload the PDF (or its parts) and/or ZIP to Slack in one message using the
+// newer uploadV2 method. The Slack titles use the DocSend name and owner when the viewer
+// provided them.
+async function uploadArtifacts({ channel, threadTs, docId, metadata = {}, artifacts, comment }) {
+  const title = metadata.title
+    ? (metadata.owner ? `${metadata.title} (${metadata.owner})` : metadata.title)
+    : `DocSend Document ${docId}`;
+  const basename = artifactBasename(metadata.title, docId);
+
+  const fileUploads = [];
+  for (const { pdf, part, parts, pageLabels } of artifacts.pdfParts || []) {
+    fileUploads.push(parts > 1
+      ? {
+        file: pdf,
+        filename: `${basename}-part-${part}-of-${parts}.pdf`,
+        title: `${title} — part ${part} of ${parts} (${describePartPages(pageLabels)})`
+      }
+      : { file: pdf, filename: `${basename}.pdf`, title });
+  }
+  if (artifacts.zip) {
+    fileUploads.push({ file: artifacts.zip, filename: `${basename}-pages.zip`, title: `${title} (page images)` });
+  }
+
+  await uploadFiles({ channel, threadTs, files: fileUploads, comment });
+}
+
+// Slack shows at most this many files on one message
+const FILES_PER_MESSAGE = 10;
+
+// Upload [{ file, filename, title }] in as few messages as Slack allows; the
+// comment goes on the first one.
+async function uploadFiles({ channel, threadTs, files, comment }) {
+  for (let start = 0; start < files.length; start += FILES_PER_MESSAGE) {
+    try {
+      const result = await metrics.uploadDuration.time(() => app.client.files.uploadV2({
+        channel_id: channel,
+        file_uploads: files.slice(start, start + FILES_PER_MESSAGE),
+        thread_ts: threadTs,
+        ...(start === 0 ? { initial_comment: comment } : {})
+      }));
+
+      const uploaded = (result.files || []).flatMap(upload => upload.files || []);
+      log.info('Uploaded successfully:', uploaded.map(file => ({ id: file.id, name: file.name, size: file.size })));
+    } catch (uploadError) {
+      log.error('Error uploading to Slack:', uploadError);
+      throw new UploadFailed(`Failed to upload: ${uploadError.message}`, { cause: uploadError });
+    }
+  }
+}
+
+// Status reply posted in the thread and edited in place as the job moves along
+function threadStatus(channel, threadTs) {
+  let posted = Promise.resolve(null);
+  return {
+    post(text) {
+      posted = app.client.chat.postMessage({ channel, text, thread_ts: threadTs })
+        .then(result => result.ts)
+        .catch((error) => {
+          log.error('Could not post status message:', error);
+          return null;
+        });
+      return posted;
+    },
+    async update(text) {
+      const ts = await posted;
+      if (!ts) return;
+      await app.client.chat.update({ channel, ts, text }).catch(error => log.error('Could not update status message:', error));
+    }
+  };
+}
+
+// Send a message through a slash command's response_url (ephemeral by default)
+async function respond(responseUrl, body) {
+  const res = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response_type: 'ephemeral', ...body })
+  });
+  if (!res.ok) {
+    throw new Error(`response_url returned HTTP ${res.status}`);
+  }
+}
+
+// Status shown only to the person who ran the slash command. A response_url
+// accepts at most five messages, so progress updates stop early enough to
+// leave room for the final result.
+function ephemeralStatus(responseUrl) {
+  let uses = 0;
+  const send = (body) => {
+    uses++;
+    return respond(responseUrl, body).catch(error => log.error('Could not send ephemeral status:', error));
+  };
+  return {
+    post: text => send({ text }),
+    update: (text, { final = false } = {}) => {
+      if (!final && uses >= 3) return Promise.resolve();
+      return send({ text, replace_original: true });
+    }
+  };
+}
+
+// Minimum gap between edits of a status message, to stay inside Slack's
+// chat.update rate limits while checkpoints fire every second or two
+const STATUS_UPDATE_INTERVAL_MS = Number(process.env.STATUS_UPDATE_INTERVAL_MS) || 3000;
+
+// One status message for all documents in a request, with a line per
+// document. Lines can change before the message is posted; after that changes
+// are batched into throttled edits, sent one at a time so they land in order.
+// Once every line is finished the final text goes out immediately.
+function createStatusBoard(status, labels) {
+  const lines = labels.map(() => 'Waiting...');
+  const finished = labels.map(() => false);
+  let posted = false;
+  let sending = Promise.resolve();
+  let timer = null;
+  let lastSentAt = 0;
+  let lastText = null;
+
+  const render = () => {
+    if (lines.length === 1) return lines[0];
+    return [
+      `Found ${lines.length} DocSend documents:`,
+      ...lines.map((line, i) => `• ${labels[i]}: ${line}`)
+    ].join('\n');
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const text = render();
+    if (text === lastText) return;
+    const final = finished.every(Boolean);
+    lastText = text;
+    lastSentAt = Date.now();
+    sending = sending.then(() => status.update(text, { final }));
+  };
+
+  const changed = () => {
+    if (!posted) return;
+    if (finished.every(Boolean)) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, Math.max(0, lastSentAt + STATUS_UPDATE_INTERVAL_MS - Date.now()));
+    }
+  };
+
+  return {
+    post() {
+      posted = true;
+      lastText = render();
+      lastSentAt = Date.now();
+      sending = Promise.resolve(status.post(lastText));
+    },
+    line(i) {
+      return {
+        // Progress text; may be coalesced with later changes
+        set(text) {
+          if (finished[i]) return;
+          lines[i] = text;
+          changed();
+        },
+        // Final text for this document
+        finish(text) {
+          lines[i] = text;
+          finished[i] = true;
+          changed();
+        }
+      };
+    }
+  };
+}
+
+// What to tell the user for each failure code, and what they can do about it.
+// Internal error messages are only ever logged, never posted.
+const FAILURE_MESSAGES = {
+  DOCUMENT_NOT_FOUND: {
+    message: 'This DocSend link doesn\'t exist or has expired.',
+    nextStep: 'Ask the sender for a fresh link.'
+  },
+  EMAIL_GATE_FAILED: {
+    message: 'I couldn\'t get past DocSend\'s email prompt.',
+    nextStep: 'The sender may only allow specific email addresses. Ask them to grant access to the bot\'s address, or view it as an address they allow with `/docsend identity you@example.com`, then share the link again.'
+  },
+  PASSCODE_FIELD_NOT_FOUND: {
+    message: 'A passcode was given, but I couldn\'t find where to enter it.',
+    nextStep: 'If the document doesn\'t need a passcode, share the link again without `pw:`. Otherwise please let the bot maintainers know.'
+  },
+  PASSCODE_REQUIRED: {
+    message: 'This document is passcode-protected and I didn\'t get a passcode for it.',
+    nextStep: 'Answer the passcode prompt I send you as a DM, or use `/docsend <url> <passcode>` to keep it out of the channel.'
+  },
+  PASSCODE_REJECTED: {
+    message: 'DocSend didn\'t accept the passcode.',
+    nextStep: 'Check the passcode with the sender and try again. Use `/docsend <url> <passcode>` to keep it out of the channel.'
+  },
+  VERIFICATION_CODE_UNAVAILABLE: {
+    message: 'DocSend wants the bot\'s email address confirmed with an emailed code, and I didn\'t get the code in time.',
+    nextStep: 'Please try again in a few minutes. If it keeps happening, let the bot maintainers know.'
+  },
+  VERIFICATION_FAILED: {
+    message: 'DocSend didn\'t accept the email verification code.',
+    nextStep: 'Please share the link again to get a new code. If it keeps happening, let the bot maintainers know.'
+  },
+  AGREEMENT_REQUIRED: {
+    message: 'This document asks the viewer to accept an agreement (NDA) first, and this workspace doesn\'t let the bot accept agreements.',
+    nextStep: 'Open the link yourself to review and accept it, or ask the sender for a copy without the agreement.'
+  },
+  AGREEMENT_FAILED: {
+    message: 'This document has an agreement (NDA) that I wasn\'t able to accept.',
+    nextStep: 'Open the link yourself to accept it. If it keeps happening, let the bot maintainers know.'
+  },
+  CAPTURE_INCOMPLETE: {
+    message: 'I opened the document but couldn\'t capture its pages.',
+    nextStep: 'Please try again in a few minutes. If it keeps happening, let the bot maintainers know.'
+  },
+  PDF_BUILD_FAILED: {
+    message: 'I captured the pages but couldn\'t put the PDF together.',
+    nextStep: 'Please try again. If it keeps happening, let the bot maintainers know.'
+  },
+  UPLOAD_FAILED: {
+    message: 'The PDF is ready but Slack didn\'t accept the upload.',
+    nextStep: 'Make sure the bot is a member of this channel, then share the link again.'
+  },
+  QUEUE_FULL: {
+    message: 'I\'m working through a backlog of documents right now.',
+    nextStep: 'Please share the link again in a few minutes.'
+  }
+};
+
+function describeFailure(error) {
+  const failure = error instanceof ConversionError && FAILURE_MESSAGES[error.code];
+  if (!failure) {
+    return `Sorry, I couldn't convert the DocSend document. It might require special access or have security restrictions.`;
+  }
+  return `Sorry, I couldn't convert the DocSend document. ${failure.message} ${failure.nextStep}`;
+}
+
+// What a finished conversion posted, by output format
+const ARTIFACT_NAMES = {
+  pdf: { name: 'The PDF', plural: false },
+  zip: { name: 'The ZIP of page images', plural: false },
+  both: { name: 'The PDF and a ZIP of page images', plural: true }
+};
+
+// "The PDF is attached below." and the like, for where a job's files went:
+// 'thread' (the status message's thread), 'channel' (top level of the
+// channel) or 'dm' (the requester's DM with the bot)
+function describeDelivery(name, delivery, plural = false) {
+  if (delivery === 'channel') return `${name} ${plural ? 'were' : 'was'} posted in the channel.`;
+  if (delivery === 'dm') return `${name} ${plural ? 'were' : 'was'} sent to you as a DM.`;
+  return `${name} ${plural ? 'are' : 'is'} attached below.`;
+}
+
+// Share a cached capture instead of converting again
+function deliverCached({ line, channel, threadTs, docId, cached, delivery }) {
+  const capturedAt = Math.floor(cached.capturedAt / 1000);
+  const when = `<!date^${capturedAt}^{date_short_pretty} at {time}|${new Date(cached.capturedAt).toUTCString()}>`;
+  line.set('Converting DocSend document to PDF... Uploading…');
+  return uploadArtifacts({
+    channel,
+    threadTs,
+    docId,
+    metadata: cached,
+    artifacts: { pdfParts: [{ pdf: cached.pdf, part: 1, parts: 1 }] },
+    comment: `Here is your DocSend document converted to PDF (${cached.pageCount} pages, captured ${when}). Add "fresh" to your message to capture it again.`
+  })
+    .then(() => line.finish(`Done. Reused the capture from ${when}. ${describeDelivery('The PDF', delivery)}`))
+    .catch((error) => {
+      log.error('Error sharing cached PDF:', error);
+      line.finish(describeFailure(error));
+    });
+}
+
+// Look up a cached capture unless the user or channel asked for a fresh one.
+// Only PDFs are cached, so requests for page images always capture again.
+// Only captures made as the email this requester would view as, and with
+// the passcode given now (if any), are reused.
+async function findCached({ docId, passcode, fresh, settings, requester }) {
+  if (fresh || !settings.output.cache || settings.output.format !== 'pdf') return null;
+  const { email } = await viewerFor(settings, requester);
+  return conversionCache.get(docId, { passcode, email });
+}
+
+// Queue a conversion and keep its line on the status board up to date.
+// Cache hits skip the queue and are shared right away. Returns a promise
+// that settles once the document has been delivered or has failed. The
+// conversion gets a job ID that every log line about it carries.
+function queueConversion(job) {
+  const jobId = newJobId();
+  return withJob(jobId, () => {
+    log.info('Conversion job created', { docId: job.docId, channel: job.channel, requester: job.requester });
+    return scheduleConversion({ ...job, jobId });
+  });
+}
+
+function scheduleConversion({ jobId, queueKey, line, settings, channel, threadTs, delivery, docsendUrl, docId, messageText, passcode, requester, cached }) {
+  if (cached) {
+    return deliverCached({ line, channel, threadTs, docId, cached, delivery });
+  }
+
+  metrics.started.inc();
+  let enqueued;
+  try {
+    // The queue starts jobs from other jobs' contexts, so re-enter this one
+    enqueued = conversionQueue.enqueue({
+      channel: queueKey,
+      jobId,
+      onStart: () => withJob(jobId, async () => line.set('Converting DocSend document to PDF...')),
+      onPosition: position => withJob(jobId, () => line.set(`Converting DocSend document to PDF... (queued, position ${position})`)),
+      run: ({ whileWaiting }) => withJob(jobId, () => convertAndUpload({ line, settings, channel, threadTs, docsendUrl, docId, messageText, passcode, requester, whileWaiting }))
+    });
+  } catch (error) {
+    if (!(error instanceof QueueFull)) throw error;
+    log.info('Conversion queue full, rejecting:', docsendUrl);
+    metrics.failed.inc({ stage: error.stage, code: error.code });
+    line.finish(describeFailure(error));
+    return Promise.resolve();
+  }
+
+  line.set(enqueued.position > 0
+    ? `Converting DocSend document to PDF... (queued, position ${enqueued.position})`
+    : 'Converting DocSend document to PDF...');
+
+  return enqueued.done
+    .then(({ missingPages, unverified, space }) => {
+      metrics.succeeded.inc();
+      if (space) {
+        line.finish(`Done. Converted ${space.converted} of ${space.total} documents in the Space. ${describeDelivery('The files and a summary', delivery, true)}`);
+      } else if (missingPages.length) {
+        line.finish(`Done, but ${describePages(missingPages)} could not be captured. ${describeDelivery('The partial document', delivery)}`);
+      } else if (unverified) {
+        line.finish(`Done, but the page count couldn't be verified. ${describeDelivery('The document', delivery)}`);
+      } else {
+        const { name, plural } = ARTIFACT_NAMES[settings.output.format] || ARTIFACT_NAMES.pdf;
+        line.finish(`Done. ${describeDelivery(name, delivery, plural)}`);
+      }
+    })
+    .catch((error) => {
+      log.error('Error processing DocSend:', {
+        code: error.code,
+        stage: error.stage,
+        error
+      });
+      metrics.failed.inc({ stage: error.stage || 'unknown', code: error.code || 'UNEXPECTED' });
+      line.finish(describeFailure(error));
+    });
+}
+
 // Handle Slack events directly
 expressApp.post('/slack/events', (req, res) => {
-  console.log('Received Slack event:', JSON.stringify(req.body));
+  log.info('Received Slack event', {
+    type: req.body.type,
+    eventId: req.body.event_id,
+    eventType: req.body.event && req.body.event.type,
+    channel: req.body.event && req.body.event.channel
+  });
 
   // Verify request signature
   if (!verifySlackRequest(req)) {
-    console.log('Invalid request signature');
+    log.warn('Invalid request signature');
     res.status(401).send('Invalid request signature');
     return;
   }
 
   // Handle Slack's challenge verification
   if (req.body.type === 'url_verification') {
-    console.log('Handling challenge verification');
+    log.info('Handling challenge verification');
     res.set('Content-Type', 'text/plain');
     res.send(req.body.challenge);
     return;
   }
 
   // Handle other events
-  console.log('Processing regular event');
+  log.info('Processing regular event');
 
   // Acknowledge the event immediately
   res.status(200).send();
 
   // Process the event asynchronously
   if (req.body.event) {
-    const event = req.body.event;
-
-    // Handle different message types
-    if (event.type === 'message') {
-      let messageText = '';
-      let messageId = '';
-
-      // Get message text and ID based on event type
-      if (event.subtype === 'message_deleted') {
-        messageText = event.previous_message?.text || '';
-        messageId = event.previous_message?.client_msg_id || '';
-      } else if (event.subtype === 'message_changed') {
-        messageText = event.message?.text || '';
-        messageId = event.message?.client_msg_id || '';
+    handleMessageEvent(req.body, {
+      retryNum: req.headers['x-slack-retry-num'],
+      retryReason: req.headers['x-slack-retry-reason']
+    }).catch((error) => {
+      log.error('Error handling Slack event:', error);
+    });
+  }
+});
+
+async function handleMessageEvent(body, { retryNum, retryReason }) {
+  const event = body.event;
+
+  // Handle different message types
+  if (event.type !== 'message') return;
+
+  // Get message text and ID based on event type. Some subtypes carry no
+  // client_msg_id, so fall back to the message's channel and timestamp.
+  let message = event;
+  if (event.subtype === 'message_deleted') {
+    message = event.previous_message || {};
+  } else if (event.subtype === 'message_changed') {
+    message = event.message || {};
+  }
+  const messageText = message.text || '';
+  const messageId = message.client_msg_id || `${event.channel}:${message.ts || event.ts}`;
+
+  // The bot's own posts (status lines, prompt DMs) are never requests
+  if (event.bot_id || message.bot_id || message.user === await getBotUserId()) return;
+
+  // Check if the message contains a DocSend link
+  if (linkParser.parseMessage(messageText).length === 0) return;
+  log.info('Found DocSend link', { channel: event.channel, messageId });
+
+  const channelDefaults = channelSettings.get(event.channel);
+  // A `format:zip` keyword overrides the channel's output format for this message
+  const format = requestedFormat(messageText);
+  const settings = format ? { ...channelDefaults, output: { ...channelDefaults.output, format } } : channelDefaults;
+  if (!settings.enabled) {
+    log.info('Conversions disabled in channel, skipping:', event.channel);
+    return;
+  }
+  if (settings.mode === 'on-demand' && !messageText.includes(`<@${await getBotUserId()}>`)) {
+    log.info('Channel is on-demand and the bot was not mentioned, skipping:', event.channel);
+    return;
+  }
+
+  // The same event redelivered (timeout, restart) is skipped. A retry that
+  // arrives while the first delivery is still converting is expected: the
+  // job is running, Slack just didn't see our 200 in time. A claim left by
+  // a process that has since restarted is stale and the retry takes it over.
+  const eventKey = body.event_id ? `event:${body.event_id}` : null;
+  if (eventKey) {
+    const seen = await dedupeStore.claim(eventKey);
+    if (seen) {
+      if (retryNum && seen.state === 'in-progress') {
+        log.info(`Retry ${retryNum} (${retryReason || 'no reason'}) of event still in progress, skipping:`, eventKey);
       } else {
-        messageText = event.text || '';
-        messageId = event.client_msg_id || '';
+        log.info(`Event already processed (${seen.state}), skipping:`, eventKey);
       }
+      return;
+    }
+  }
 
-      // Check if the message contains a DocSend link
-      if (messageText && messageText.includes('docsend.com')) {
-        console.log('Found DocSend link:', messageText);
-
-        // Extract DocSend URL (handle both /view/ and /v/ formats, with or without angle brackets, and custom subdomains)
-        const docsendUrl = messageText.match(/<?(https:\/\/(?:[a-zA-Z0-9-]+\.)?docsend\.com\/(?:view\/|v\/)[a-zA-Z0-9\/\-_]+)>?/)?.[1];
-        if (docsendUrl) {
-          console.log('Extracted DocSend URL:', docsendUrl);
-
-          // Extract document ID from URL (handle both /view/ and /v/ formats)
-          const docId = docsendUrl.includes('/view/')
-            ? docsendUrl.split('/view/')[1].split('/')[0]
-            : docsendUrl.split('/v/')[1].split('/')[0];
-          console.log('Extracted document ID:', docId);
-
-          // Create a unique key for this message
-          const messageKey = `${messageId}_${docsendUrl}`;
-
-          // Check if we've already processed this message
-          if (processedMessages.has(messageKey)) {
-            console.log('Message already processed, skipping:', messageKey);
-            return;
-          }
-
-          // Mark this message as processed
-          processedMessages.add(messageKey);
-
-          // Send initial response
-          app.client.chat.postMessage({
-            channel: event.channel,
-            text: `Converting DocSend document to PDF...`,
-            thread_ts: event.thread_ts || event.ts
-          }).catch(console.error);
-
-          // Convert to screenshots and create PDF
-          convertDocSendToPDF(docsendUrl, messageText)
-            .then(async (screenshots) => {
-              if (!screenshots || !Array.isArray(screenshots)) {
-                throw new Error('No screenshots returned from convertDocSendToPDF');
-              }
-              console.log(`Captured ${screenshots.length} pages, creating PDF...`);
-
-              // Create PDF from screenshots
-              const pdfBuffer = await createPDFFromScreenshots(screenshots);
-
-              // Verify PDF buffer is valid
-              if (!pdfBuffer || !Buffer.isBuffer(pdfBuffer)) {
-                throw new Error('Invalid PDF buffer generated');
-              }
-
-              console.log('PDF buffer size:', pdfBuffer.length, 'bytes');
-
-              // Upload PDF to Slack using the newer uploadV2 method
-              try {
-                const result = await app.client.files.uploadV2({
-                  channel_id: event.channel,
-                  file: pdfBuffer,
-                  filename: `${docId}.pdf`,
-                  title: `DocSend Document ${docId}`,
-                  thread_ts: event.thread_ts || event.ts,
-                  initial_comment: 'Here is your DocSend document converted to PDF.'
-                });
-
-                console.log('PDF uploaded successfully:', {
-                  file_id: result.file?.id,
-                  permalink: result.file?.permalink,
-                  size: result.file?.size
-                });
-              } catch (uploadError) {
-                console.error('Error uploading PDF:', uploadError);
-                throw new Error(`Failed to upload PDF: ${uploadError.message}`);
-              }
-            })
-            .catch(async (error) => {
-              console.error('Error processing DocSend:', error);
-
-              // Use a generic error message instead of showing the specific error
-              await app.client.chat.postMessage({
-                channel: event.channel,
-                text: `Sorry, I couldn't convert the DocSend document. It might require special access or have security restrictions.`,
-                thread_ts: event.thread_ts || event.ts
-              });
-            });
-        }
+  // Links already handled for this message (e.g. an edit of a message whose
+  // link was converted) are skipped too
+  const links = [];
+  // Claims are marked done once the jobs have finished. If anything throws
+  // first they are released instead, so Slack's retry is handled rather than
+  // dropped as in progress until the claim goes stale.
+  let done = false;
+  try {
+    for (const link of linkParser.parseMessage(messageText)) {
+      const messageKey = `message:${messageId}:${link.url}`;
+      const seen = await dedupeStore.claim(messageKey);
+      if (seen) {
+        log.info('Message already processed, skipping:', messageKey);
+        continue;
       }
+      links.push({ ...link, messageKey });
+    }
+    if (links.length === 0) {
+      done = true;
+      return;
+    }
+    log.info('Extracted DocSend links:', links.map(link => link.url));
+
+    // "fresh" anywhere in the message skips the conversion cache
+    const fresh = /(^|\s)fresh(\s|$)/i.test(messageText);
+    const cached = await Promise.all(links.map(link => findCached({ ...link, fresh, settings, requester: message.user })));
+
+    // Each link is its own job; the results share one status message, which
+    // stays in the thread even when the channel posts PDFs at the top level
+    const threadTs = event.thread_ts || event.ts;
+    const board = createStatusBoard(threadStatus(event.channel, threadTs), links.map(link => link.docId));
+    const jobs = links.map((link, i) => queueConversion({
+      queueKey: event.channel,
+      line: board.line(i),
+      settings,
+      channel: event.channel,
+      threadTs: settings.post === 'thread' ? threadTs : undefined,
+      delivery: settings.post,
+      docsendUrl: link.url,
+      docId: link.docId,
+      messageText: '',
+      passcode: link.passcode,
+      // Whoever posted the link is asked for a passcode it turns out to need
+      requester: message.user,
+      cached: cached[i]
+    }));
+    board.post();
+
+    await Promise.all(jobs);
+    done = true;
+  } finally {
+    const keys = [...(eventKey ? [eventKey] : []), ...links.map(link => link.messageKey)];
+    await Promise.all(keys.map(key => (done ? dedupeStore.mark(key, 'done') : dedupeStore.release(key))));
+  }
+}
+
+// Bot's own user ID, for spotting mentions in on-demand channels
+let botUserId = null;
+async function getBotUserId() {
+  if (!botUserId) {
+    const auth = await app.client.auth.test();
+    botUserId = auth.user_id;
+  }
+  return botUserId;
+}
+
+// Workspace admins and owners, plus anyone listed in SLACK_ADMIN_USERS
+async function isAdmin(userId) {
+  const extraAdmins = (process.env.SLACK_ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (extraAdmins.includes(userId)) return true;
+  const { user } = await app.client.users.info({ user: userId });
+  return Boolean(user && (user.is_admin || user.is_owner));
+}
+
+function describeSettings(channelId, settings) {
+  return [
+    `Settings for <#${channelId}>:`,
+    `• enabled: ${settings.enabled ? 'on' : 'off'}`,
+    `• mode: ${settings.mode}`,
+    `• email: ${settings.email || 'default'}`,
+    `• post: ${settings.post}`,
+    `• progress: ${settings.output.progress ? 'on' : 'off'}`,
+    `• cache: ${settings.output.cache ? 'on' : 'off'}`,
+    `• format: ${settings.output.format}`,
+    'Change with `/docsend config set <setting> <value>`, or `/docsend config reset` to go back to the defaults.'
+  ].join('\n');
+}
+
+// `/docsend config`, `/docsend config set <setting> <value>`, `/docsend config reset`.
+// Returns the text to show the admin.
+async function handleConfigCommand({ args, userId, channelId }) {
+  if (!(await isAdmin(userId))) {
+    return 'Only workspace admins can view or change the bot\'s channel settings.';
+  }
+
+  const [action, key, ...value] = args;
+  if (!action) {
+    return describeSettings(channelId, channelSettings.get(channelId));
+  }
+  if (action === 'reset') {
+    log.info('Channel settings reset:', { channelId, userId });
+    return describeSettings(channelId, await channelSettings.reset(channelId));
+  }
+  if (action === 'set' && key) {
+    let patch;
+    try {
+      patch = parseSetting(key, value.join(' '));
+    } catch (error) {
+      return error.message;
+    }
+    log.info('Channel settings changed:', { channelId, userId, patch });
+    return describeSettings(channelId, await channelSettings.update(channelId, patch));
+  }
+  return 'Usage: `/docsend config`, `/docsend config set <setting> <value>` or `/docsend config reset`.';
+}
+
+function describeIdentity(identity) {
+  if (!identity) {
+    return 'You view DocSend documents as the bot\'s shared address. Set your own with `/docsend identity you@example.com`.';
+  }
+  if (identity.source === 'profile') {
+    return `You view DocSend documents as ${identity.email}, the email on your Slack profile. Use \`/docsend identity you@example.com\` to pick another.`;
+  }
+  return `You view DocSend documents as ${identity.email}. \`/docsend identity clear\` goes back to the default.`;
+}
+
+// `/docsend identity [email|clear]`, and for admins `/docsend identity profile on|off`.
+// Returns the text to show the user.
+async function handleIdentityCommand({ args, userId }) {
+  const [action, value] = args;
+  if (!action) {
+    return describeIdentity(await identities.get(userId));
+  }
+  if (action === 'clear') {
+    await identities.clear(userId);
+    log.info('DocSend identity cleared:', { userId });
+    return describeIdentity(await identities.get(userId));
+  }
+  if (action === 'profile') {
+    if (!(await isAdmin(userId))) {
+      return 'Only workspace admins can turn Slack profile emails on or off.';
+    }
+    if (!value) {
+      return `Slack profile emails are ${identities.profileEmailsEnabled() ? 'on' : 'off'} for users without an identity.`;
+    }
+    let enabled;
+    try {
+      enabled = parseSwitch(value);
+    } catch (error) {
+      return error.message;
+    }
+    await identities.setProfileEmails(enabled);
+    log.info('Profile email identities changed:', { userId, enabled });
+    return enabled
+      ? 'Users without an identity now view DocSend documents as the email on their Slack profile.'
+      : 'Users without an identity now view DocSend documents as the bot\'s shared address.';
+  }
+  const email = parseEmail(action);
+  if (!email) {
+    return 'Usage: `/docsend identity`, `/docsend identity you@example.com` or `/docsend identity clear`.';
+  }
+  await identities.set(userId, email);
+  log.info('DocSend identity set:', { userId });
+  return describeIdentity(await identities.get(userId));
+}
+
+const SLASH_USAGE = 'Usage: `/docsend <docsend-url> [passcode] [--channel] [--fresh] [format:pdf|zip|both]`. The result is sent to you as a DM unless you add `--channel`; `--fresh` skips the cached copy. `/docsend identity you@example.com` sets the email you view documents as.';
+
+// Handle the /docsend slash command. Everything stays private: progress is
+// ephemeral and the passcode never touches channel history.
+expressApp.post('/slack/commands', (req, res) => {
+  // Verify request signature
+  if (!verifySlackRequest(req)) {
+    log.warn('Invalid request signature');
+    res.status(401).send('Invalid request signature');
+    return;
+  }
+
+  const { text = '', user_id: userId, channel_id: channelId, response_url: responseUrl } = req.body;
+  const args = text.trim().split(/\s+/).filter(Boolean);
+
+  if (args[0] === 'config') {
+    // Admin check needs a Slack API call, so answer through response_url
+    res.json({ response_type: 'ephemeral', text: 'Checking settings…' });
+    handleConfigCommand({ args: args.slice(1), userId, channelId })
+      .then(reply => respond(responseUrl, { text: reply, replace_original: true }))
+      .catch(async (error) => {
+        log.error('Error handling /docsend config:', error);
+        await respond(responseUrl, { text: 'Sorry, I couldn\'t update the settings.', replace_original: true })
+          .catch(respondError => log.error('Could not send reply:', respondError));
+      });
+    return;
+  }
+
+  if (args[0] === 'identity') {
+    res.json({ response_type: 'ephemeral', text: 'Checking your identity…' });
+    handleIdentityCommand({ args: args.slice(1), userId })
+      .then(reply => respond(responseUrl, { text: reply, replace_original: true }))
+      .catch(async (error) => {
+        log.error('Error handling /docsend identity:', error);
+        await respond(responseUrl, { text: 'Sorry, I couldn\'t update your identity.', replace_original: true })
+          .catch(respondError => log.error('Could not send reply:', respondError));
+      });
+    return;
+  }
+
+  const toChannel = args.includes('--channel');
+  const fresh = args.includes('--fresh') || args.includes('fresh');
+  const format = requestedFormat(text);
+  const rest = args.filter(arg => !['--channel', '--fresh', 'fresh'].includes(arg) && !/^format:/i.test(arg));
+
+  const link = rest.map(arg => linkParser.parseUrl(arg)).find(Boolean);
+  if (!link) {
+    res.json({ response_type: 'ephemeral', text: SLASH_USAGE });
+    return;
+  }
+  const { url: docsendUrl, docId } = link;
+
+  // Anything besides the URL is the passcode; accept the `pw:` form too
+  const passcodeArg = rest.find(arg => !linkParser.parseUrl(arg));
+  const passcode = passcodeArg ? passcodeArg.replace(/^pw:/i, '') : null;
+
+  log.info('Slash command conversion requested:', { userId, channelId, docId, toChannel, passcode: !!passcode });
+
+  // Acknowledge within Slack's 3 second window; progress follows via response_url
+  res.json({
+    response_type: 'ephemeral',
+    text: toChannel
+      ? 'Got it. I\'ll post the PDF in this channel when it\'s ready.'
+      : 'Got it. I\'ll send you the PDF as a DM when it\'s ready.'
+  });
+
+  (async () => {
+    let channel = channelId;
+    if (!toChannel) {
+      const dm = await app.client.conversations.open({ users: userId });
+      channel = dm.channel.id;
     }
+    const channelDefaults = channelSettings.get(channelId);
+    const settings = format ? { ...channelDefaults, output: { ...channelDefaults.output, format } } : channelDefaults;
+    const cached = await findCached({ docId, passcode, fresh, settings, requester: userId });
+    const board = createStatusBoard(ephemeralStatus(responseUrl), [docId]);
+    queueConversion({
+      queueKey: channelId,
+      line: board.line(0),
+      settings,
+      channel,
+      delivery: toChannel ? 'channel' : 'dm',
+      docsendUrl,
+      docId,
+      messageText: '',
+      passcode,
+      requester: userId,
+      cached
+    });
+    board.post();
+  })().catch(async (error) => {
+    log.error('Error handling /docsend command:', error);
+    await respond(responseUrl, { text: `Sorry, I couldn't start the conversion.` })
+      .catch(respondError => log.error('Could not send reply:', respondError));
+  });
+});
+
+// Button clicks and modal submissions (passcode and verification prompts). Slack sends these
+// as a form with a JSON `payload` field.
+expressApp.post('/slack/interactions', (req, res) => {
+  if (!verifySlackRequest(req)) {
+    log.warn('Invalid request signature');
+    res.status(401).send('Invalid request signature');
+    return;
   }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    res.status(400).send('Invalid payload');
+    return;
+  }
+  // Not logged in full: view submissions contain passcodes and codes
+  log.info('Received Slack interaction:', { type: payload.type, user: payload.user && payload.user.id });
+
+  slackPrompts.handleInteraction(payload)
+    .then((body) => {
+      if (body) res.json(body);
+      else res.status(200).send();
+    })
+    .catch((error) => {
+      log.error('Error handling Slack interaction:', error);
+      res.status(200).send();
+    });
 });
 
 // Start the Express server
 (async () => {
   try {
-    // Run health check
-    try {
-      await checkHealth();
-    } catch (healthError) {
-      console.error('Health check failed but continuing anyway:', healthError);
+    // Without these the bot can't verify or answer a single request
+    const missing = missingEnv();
+    if (missing.length) {
+      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 
+    // Launch browsers now so the first conversion doesn't pay the cold start
+    browserPool.warm().catch((error) => {
+      log.error('Failed to warm browser pool:', error);
+    });
+
     // Start Express server
     expressApp.listen(process.env.PORT, () => {
-      console.log(`Server is running on port ${process.env.PORT}`);
+      log.info(`Server is running on port ${process.env.PORT}`);
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server:', error);
     process.exit(1);
   }
 })();
 
 // Start the Slack app
 app.start().then(() => {
-  console.log('Slack app is running!');
+  log.info('Slack app is running!');
 }).catch((error) => {
-  console.error('Error starting Slack app:', error);
+  log.error('Error starting Slack app:', error);
 });
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+/**
+ * On-disk cache of finished conversions. The same deck tends to be shared in
+ * several channels within a few days; each entry keeps the PDF plus its page
+ * count, title, owner and capture time so a repost can be answered without
+ * Puppeteer.
+ *
+ * Entries are keyed by DocSend document ID, the passcode used (if any) and
+ * the email the document was viewed as. A passcode-protected capture is only
+ * handed out for a link posted with that same passcode, and a capture made as
+ * one viewer never reaches someone the sender may not have allowed. Neither
+ * appears in file names: the email is hashed, and the passcode goes through
+ * scrypt salted with the document ID so short passcodes can't be read back by
+ * trying them all. A `ttlMs` of 0 disables the cache.
+ */
+const scrypt = util.promisify(crypto.scrypt);
+
+function createConversionCache({
+  dir = path.join(os.tmpdir(), 'docsend-slack-bot-cache'),
+  ttlMs = 24 * 60 * 60 * 1000
+} = {}) {
+  const enabled = ttlMs > 0;
+
+  async function keyFor(docId, { passcode = null, email = null } = {}) {
+    const safeId = String(docId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const viewer = email
+      ? `.${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16)}`
+      : '';
+    const pw = passcode
+      ? `.pw-${(await scrypt(passcode, `docsend-cache:${docId}`, 8)).toString('hex')}`
+      : '';
+    return `${safeId}${viewer}${pw}`;
+  }
+
+  function filesFor(key) {
+    return {
+      pdf: path.join(dir, `${key}.pdf`),
+      meta: path.join(dir, `${key}.json`)
+    };
+  }
+
+  async function remove(key) {
+    const files = filesFor(key);
+    await Promise.all([
+      fs.promises.rm(files.pdf, { force: true }),
+      fs.promises.rm(files.meta, { force: true })
+    ]);
+  }
+
+  // Returns { pdf, pageCount, title, owner, capturedAt } or null on a miss or expired entry
+  async function get(docId, opts) {
+    if (!enabled) return null;
+    const key = await keyFor(docId, opts);
+    const files = filesFor(key);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(files.meta, 'utf8'));
+      if (Date.now() - meta.capturedAt > ttlMs) {
+        log.info(`Entry ${key} expired`);
+        await remove(key);
+        return null;
+      }
+      const pdf = await fs.promises.readFile(files.pdf);
+      log.info(`Hit for ${key} (captured ${new Date(meta.capturedAt).toISOString()})`);
+      return { ...meta, pdf };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`Could not read entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async function set(docId, opts, { pdf, ...info }) {
+    if (!enabled) return;
+    const key = await keyFor(docId, opts);
+    const files = filesFor(key);
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // PDF first: a metadata file is what makes an entry visible
+      await fs.promises.writeFile(files.pdf, pdf);
+      await fs.promises.writeFile(files.meta, JSON.stringify({ ...info, capturedAt: Date.now() }));
+      log.info(`Stored ${key} (${pdf.length} bytes, ${info.pageCount} pages)`);
+    } catch (error) {
+      log.warn(`Could not store entry ${key}:`, error.message);
+    }
+  }
+
+  // Drop expired entries; called periodically so the disk doesn't fill up
+  async function prune() {
+    if (!enabled) return;
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      return;
+    }
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      const key = name.slice(0, -'.json'.length);
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+        if (Date.now() - meta.capturedAt > ttlMs) await remove(key);
+      } catch (error) {
+        await remove(key);
+      }
+    }
+  }
+
+  return { get, set, prune };
+}
+
+module.exports = { createConversionCache };
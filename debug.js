@@ -1,8 +1,13 @@
 #!/usr/bin/env node
 require('dotenv').config();
+// Readable log lines in the terminal and trace.log unless asked otherwise
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const { convertDocSendToPDF, createPDFFromScreenshots } = require('./docsend');
+const { createLinkParser } = require('./links');
+const { codeProviderFromEnv } = require('./verification');
 
 function usage() {
   console.error(`
@@ -31,13 +36,15 @@ Artifacts written per checkpoint:
 const argv = process.argv.slice(2);
 if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) usage();
 
-const url = argv.find(a => /^https?:\/\//.test(a));
-if (!url) {
-  console.error('ERROR: no URL provided');
+const linkParser = createLinkParser({
+  customDomains: (process.env.DOCSEND_CUSTOM_DOMAINS || '').split(',')
+});
+const [link] = linkParser.parseMessage(argv.filter(a => !a.startsWith('--')).join(' '));
+if (!link) {
+  console.error('ERROR: no DocSend URL provided');
   usage();
 }
-const pwArg = argv.find(a => a.toLowerCase().startsWith('pw:'));
-const messageText = pwArg ? `${url} ${pwArg}` : url;
+const { url, passcode } = link;
 
 const headless = argv.includes('--headless');
 const keepOpen = argv.includes('--keep-open');
@@ -70,6 +77,25 @@ console.error = tee(origErr, 'ERR');
 
 let counter = 0;
 
+function askOnTerminal(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim() || null);
+    });
+  });
+}
+
+function askPasscode({ rejected }) {
+  return askOnTerminal(rejected ? 'Passcode rejected. Passcode (empty to give up): ' : 'Document is passcode-protected. Passcode: ');
+}
+
+// VERIFICATION_PROVIDER (imap or maildir) if configured, else the terminal
+const verificationCodes = codeProviderFromEnv(process.env) || (process.stdin.isTTY ? {
+  getCode: ({ email }) => askOnTerminal(`Verification code emailed to ${email}: `)
+} : null);
+
 async function collectState(ctx) {
   if (!ctx) return null;
   try {
@@ -144,8 +170,8 @@ async function onCheckpoint(name, { page, frame, extra } = {}) {
 
 (async () => {
   console.log(`Debug session: ${outDir}`);
-  console.log(`URL: ${url}`);
-  console.log(`Password: ${pwArg ? 'yes (from pw: arg)' : 'no'}`);
+  console.log(`URL: ${url} (${link.kind}, ID ${link.docId})`);
+  console.log(`Password: ${passcode ? 'yes (from pw: arg)' : 'no'}`);
   console.log(`Headless: ${headless}  keepOpen: ${keepOpen}  devtools: ${devtools}  slowMo: ${slowMo}ms`);
   console.log(`DOCSEND_EMAIL: ${process.env.DOCSEND_EMAIL ? 'set' : 'NOT SET — will fail'}`);
   console.log('');
@@ -165,13 +191,28 @@ async function onCheckpoint(name, { page, frame, extra } = {}) {
   if (executablePath) console.log(`Using Chrome: ${executablePath}`);
 
   let screenshots;
+  let metadata;
   try {
-    screenshots = await convertDocSendToPDF(url, messageText, {
+    const result = await convertDocSendToPDF(url, url, {
+      passcode,
       launchOptions,
       onCheckpoint,
       keepOpenOnError: keepOpen && !headless,
+      // Passcode gate and no pw: given: ask on the terminal
+      ...(process.stdin.isTTY ? { requestPasscode: askPasscode } : {}),
+      ...(verificationCodes ? { requestVerificationCode: verificationCodes.getCode } : {}),
     });
+    if (result.space) {
+      // A Space landing page: list its documents; debug each one by its own URL
+      console.log(`Space "${result.space.title}" lists ${result.space.documents.length} documents:`);
+      result.space.documents.forEach(doc => console.log(`  ${doc.name}: ${doc.url}`));
+      console.log(`Done. Artifacts in: ${outDir}`);
+      traceFile.end();
+      return;
+    }
+    ({ screenshots, metadata } = result);
     console.log(`Captured ${screenshots.length} screenshots`);
+    console.log('Metadata:', metadata);
   } catch (e) {
     console.error(`FAILED: ${e.stack || e.message}`);
     console.error(`Artifacts in: ${outDir}`);
@@ -181,7 +222,7 @@ async function onCheckpoint(name, { page, frame, extra } = {}) {
 
   if (!noPdf) {
     try {
-      const pdf = await createPDFFromScreenshots(screenshots);
+      const pdf = await createPDFFromScreenshots(screenshots, metadata);
       const pdfPath = path.join(outDir, 'output.pdf');
       fs.writeFileSync(pdfPath, pdf);
       console.log(`PDF written: ${pdfPath}`);
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createJsonFileWriter } = require('./jsonfile');
+
+const log = createLogger('dedupe');
+
+/**
+ * Event deduplication with expiry. Slack redelivers events it thinks we
+ * missed (X-Slack-Retry-Num), and a restart used to forget everything we had
+ * already handled, so retries after a deploy produced duplicate PDFs.
+ *
+ * Entries are `{ state, expiresAt, claimedAt, bootId }` where state is
+ * 'in-progress' or 'done'. An 'in-progress' claim left by a process that has
+ * since exited (another boot ID) or that is older than `claimTimeoutMs` is
+ * stale: the conversion it stood for died with that process, so the next
+ * delivery takes it over instead of being dropped.
+ *
+ * Storage is pluggable: a backend provides async get/set/delete/prune. The file
+ * backend (default) survives restarts as long as its file is on persistent
+ * storage; the memory backend does not.
+ */
+
+// Identifies this process's claims, so a restarted bot knows which ones are
+// left over from before
+const BOOT_ID = crypto.randomBytes(6).toString('hex');
+
+function createMemoryBackend() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async prune(now) {
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+      }
+    }
+  };
+}
+
+// In-memory map mirrored to a JSON file (see jsonfile.js). A failed write
+// rejects set/prune; the entry is still held in memory.
+function createFileBackend(file = path.join(__dirname, 'data', 'dedupe.json')) {
+  const entries = new Map();
+  const writer = createJsonFileWriter(file, { indent: 0 });
+
+  const ready = fs.promises.readFile(file, 'utf8')
+    .then((raw) => {
+      for (const [key, entry] of Object.entries(JSON.parse(raw))) {
+        entries.set(key, entry);
+      }
+      log.info(`Loaded ${entries.size} entries from ${file}`);
+    })
+    .catch((error) => {
+      if (error.code !== 'ENOENT') log.warn(`Could not load ${file}:`, error.message);
+    });
+
+  const persist = () => writer.write(Object.fromEntries(entries));
+
+  return {
+    async get(key) {
+      await ready;
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      await ready;
+      entries.set(key, entry);
+      await persist();
+    },
+    async delete(key) {
+      await ready;
+      if (entries.delete(key)) await persist();
+    },
+    async prune(now) {
+      await ready;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+      }
+      await persist();
+    }
+  };
+}
+
+function createDedupeStore({
+  backend = createFileBackend(),
+  ttlMs = 24 * 60 * 60 * 1000,
+  claimTimeoutMs = 2 * 60 * 60 * 1000,
+  bootId = BOOT_ID
+} = {}) {
+  // Returns the live entry for a key, or null when unseen or expired
+  async function get(key) {
+    const entry = await backend.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry;
+  }
+
+  async function mark(key, state) {
+    const now = Date.now();
+    await backend.set(key, { state, expiresAt: now + ttlMs, claimedAt: now, bootId });
+  }
+
+  function isStale(entry) {
+    return entry.state === 'in-progress' &&
+      (entry.bootId !== bootId || Date.now() - (entry.claimedAt || 0) > claimTimeoutMs);
+  }
+
+  /**
+   * Record a key as 'in-progress' unless it is already known. Resolves to
+   * null when the key is new or its claim is stale (the caller owns it now),
+   * otherwise to the existing entry.
+   */
+  let claiming = Promise.resolve();
+  function claim(key) {
+    // Serialized so two concurrent deliveries can't both see the key as new
+    const result = claiming.then(async () => {
+      const existing = await get(key);
+      if (existing && !isStale(existing)) return existing;
+      if (existing) {
+        const age = Math.round((Date.now() - (existing.claimedAt || 0)) / 60000);
+        log.info(`Taking over stale claim on ${key} (${existing.bootId === bootId ? `claimed ${age} min ago` : 'left by an earlier process'})`);
+      }
+      await mark(key, 'in-progress');
+      return null;
+    });
+    claiming = result.catch(() => {});
+    return result;
+  }
+
+  // Give up a claim without marking it done, so the next delivery of the
+  // key is handled as new
+  function release(key) {
+    return backend.delete(key);
+  }
+
+  function prune() {
+    return backend.prune(Date.now());
+  }
+
+  return { get, mark, claim, release, prune };
+}
+
+module.exports = { createDedupeStore, createFileBackend, createMemoryBackend };
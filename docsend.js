@@ -1,8 +1,48 @@
 const puppeteer = require('puppeteer');
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFHexString } = require('pdf-lib');
+const JSZip = require('jszip');
+const Jimp = require('jimp');
+const {
+  ConversionError,
+  DocumentNotFound,
+  EmailGateFailed,
+  PasscodeFieldNotFound,
+  PasscodeRejected,
+  PasscodeRequired,
+  VerificationCodeUnavailable,
+  VerificationFailed,
+  AgreementRequired,
+  AgreementFailed,
+  CaptureIncomplete,
+  PdfBuildFailed
+} = require('./errors');
+const { createLogger, currentJobId } = require('./logger');
+
+const log = createLogger('docsend');
 
 const noop = async () => {};
 
+// Run one capture step, retrying it up to `retries` more times with a short
+// back-off. Rethrows the last error once the retries are spent.
+async function withRetries(what, retries, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      log.warn(`${what} failed (${error.message}); retry ${attempt + 1} of ${retries}`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+    }
+  }
+}
+
+// Page numbers from..to inclusive (just `from` when the end is unknown)
+function pageRange(from, to) {
+  const pages = [];
+  for (let n = from; n <= Math.max(from, to || from); n++) pages.push(n);
+  return pages;
+}
+
 const DEFAULT_LAUNCH_ARGS = [
   '--no-sandbox',
   '--disable-setuid-sandbox',
@@ -18,16 +58,157 @@ const DEFAULT_LAUNCH_ARGS = [
 ];
 
 async function dismissCookieBanner(page) {
-  console.log('Attempting to dismiss cookie banners...');
+  log.info('Attempting to dismiss cookie banners...');
   try {
     await page.evaluate(() => {
       const cookieBanner = document.querySelector('#onetrust-consent-sdk');
       if (cookieBanner) cookieBanner.remove();
     });
-    console.log('Removed cookie banner if present');
+    log.info('Removed cookie banner if present');
+  } catch (error) {
+    log.warn('No cookie banner to remove or error removing it:', error);
+  }
+}
+
+// Slide images carry their title in alt/aria-label when the owner's deck had
+// one. Viewer placeholders like "Page 3" or "slide image" aren't titles.
+function slideTitle(raw) {
+  const title = (raw || '').replace(/\s+/g, ' ').trim();
+  if (!title || /^(page|slide)(\s*(image|\d+))?$/i.test(title) || /^(page|slide)\s*\d+\s*(of\s*\d+)?$/i.test(title)) {
+    return null;
+  }
+  return title.slice(0, 200);
+}
+
+// Title of the slide image for a reported page number, if it has one
+async function readSlideTitle(page, pageNum) {
+  const raw = await page.evaluate((pn) => {
+    const imgs = Array.from(document.querySelectorAll('img.preso-view.page-view'));
+    const img = imgs.find(el => String(el.getAttribute('data-pagenum')) === String(pn));
+    return img ? (img.getAttribute('alt') || img.getAttribute('aria-label') || img.getAttribute('title')) : null;
+  }, pageNum).catch(() => null);
+  return slideTitle(raw);
+}
+
+/**
+ * Check a captured page image for the two ways captures have gone wrong
+ * before: an all-white (or otherwise flat) page from a screenshot taken
+ * before the slide painted, and a page whose lower half is solid black from
+ * capturing beyond the viewport. The image is drawn onto a small canvas in
+ * the browser and its luminance sampled. Returns 'blank', 'black',
+ * 'partly black' or null when the page looks like real content.
+ */
+async function suspectPageReason(page, buf) {
+  const mime = isPngBuffer(buf) ? 'image/png' : 'image/jpeg';
+  try {
+    return await page.evaluate(async (dataUrl) => {
+      const img = new Image();
+      img.src = dataUrl;
+      await img.decode();
+      const width = 128;
+      const height = Math.max(2, Math.round(width * img.naturalHeight / img.naturalWidth));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+
+      // Luminance range over rows [fromRow, height)
+      const range = (fromRow) => {
+        let min = 255;
+        let max = 0;
+        for (let i = fromRow * width * 4; i < data.length; i += 4) {
+          const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          if (lum < min) min = lum;
+          if (lum > max) max = lum;
+        }
+        return { min, max };
+      };
+      // A few levels of JPEG noise still counts as flat
+      const whole = range(0);
+      if (whole.max - whole.min < 24) return whole.max < 24 ? 'black' : 'blank';
+      const bottom = range(Math.floor(height / 2));
+      if (bottom.max < 24) return 'partly black';
+      return null;
+    }, `data:${mime};base64,${buf.toString('base64')}`);
   } catch (error) {
-    console.log('No cookie banner to remove or error removing it:', error);
+    log.debug(`could not check page image (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Read a decoded page <img> (`info` has its src and naturalWidth) with each
+ * capture strategy in turn until one gives an image that passes
+ * suspectPageReason:
+ *
+ * 1. 'canvas': re-encode the already-decoded <img> through a canvas. No new
+ *    network request, so it can't hit expired signed URLs, and it yields the
+ *    natural-resolution image. Requires --disable-web-security (canvas taint).
+ * 2. 'cdn': fetch the image bytes from its URL in the page context (session
+ *    cookies carry).
+ * 3. 'element': screenshot the element, after `beforeScreenshot()` (vertical
+ *    docs grow the viewport to fit the image first).
+ *
+ * Returns { shot, suspect, strategy }. If every strategy's image is suspect,
+ * the first is returned with `suspect` set to the reason; null when none of
+ * them produced an image.
+ */
+async function captureImageElement(page, img, info, { beforeScreenshot = noop } = {}) {
+  let fallback = null;
+  const accept = async (shot, how, strategy) => {
+    const suspect = await suspectPageReason(page, shot);
+    if (!suspect) return { shot, suspect: null, strategy };
+    log.debug(`${how} looks ${suspect}; trying the next strategy`);
+    fallback = fallback || { shot, suspect, strategy };
+    return null;
+  };
+
+  if (info.naturalWidth > 0) {
+    try {
+      const dataUrl = await img.evaluate(el => {
+        const canvas = document.createElement('canvas');
+        canvas.width = el.naturalWidth;
+        canvas.height = el.naturalHeight;
+        canvas.getContext('2d').drawImage(el, 0, 0);
+        return canvas.toDataURL('image/jpeg', 0.9);
+      });
+      const shot = Buffer.from(dataUrl.split(',')[1], 'base64');
+      log.debug(`canvas re-encode: ${shot.length} bytes`);
+      const accepted = await accept(shot, 'canvas re-encode', 'canvas');
+      if (accepted) return accepted;
+    } catch (canvasErr) {
+      log.debug(`canvas re-encode failed (${canvasErr.message})`);
+    }
+  }
+
+  if (info.src) {
+    try {
+      const bytes = await page.evaluate(async (url) => {
+        const resp = await fetch(url, { credentials: 'include' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return Array.from(new Uint8Array(await resp.arrayBuffer()));
+      }, info.src);
+      const shot = Buffer.from(bytes);
+      log.debug(`fetched ${shot.length} bytes from CDN`);
+      const accepted = await accept(shot, 'CDN fetch', 'cdn');
+      if (accepted) return accepted;
+    } catch (fetchErr) {
+      log.debug(`direct fetch failed (${fetchErr.message})`);
+    }
   }
+
+  try {
+    await beforeScreenshot();
+    const shot = await img.screenshot({ type: 'jpeg', quality: 80 });
+    log.debug(`element screenshot: ${shot.length} bytes`);
+    const accepted = await accept(shot, 'element screenshot', 'element');
+    if (accepted) return accepted;
+  } catch (shotErr) {
+    log.debug(`element screenshot failed (${shotErr.message})`);
+  }
+  return fallback;
 }
 
 /**
@@ -35,9 +216,12 @@ async function dismissCookieBanner(page) {
  * vertical docs stack all pages in the DOM as <img class="preso-view page-view">
  * with data-pagenum. ArrowRight does nothing useful here, so we iterate the
  * image elements directly and screenshot each one at its natural resolution.
+ *
+ * A page that still fails after `retries` attempts is skipped and listed in
+ * `missingPages`; the rest of the document is still captured.
  */
-async function captureVerticalPages(page, { onCheckpoint = noop } = {}) {
-  console.log('Capturing vertical document pages (per-image strategy)...');
+async function captureVerticalPages(page, { onCheckpoint = noop, retries = 0, totalPages = null } = {}) {
+  log.info('Capturing vertical document pages (per-image strategy)...');
   // Hide UI chrome + cookie banner so nothing overlays the page images
   await page.evaluate(() => {
     const selectors = [
@@ -53,111 +237,97 @@ async function captureVerticalPages(page, { onCheckpoint = noop } = {}) {
   await onCheckpoint('capture-ready-vertical', { page });
 
   const handles = await page.$$('img.preso-view.page-view');
-  console.log(`Found ${handles.length} vertical page images`);
+  log.info(`Found ${handles.length} vertical page images`);
   if (handles.length === 0) {
-    throw new Error('No img.preso-view.page-view elements found on vertical doc');
+    throw new CaptureIncomplete('No img.preso-view.page-view elements found on vertical doc');
   }
 
   const originalViewport = page.viewport();
   let viewportDirty = false;
 
   const screenshots = [];
+  const pages = [];
+  const missingPages = [];
   for (let i = 0; i < handles.length; i++) {
     const img = handles[i];
-
-    // Scroll the image into view FIRST — vertical docs lazy-load page images,
-    // so below-the-fold pages may not even have a real src until visible.
-    await img.evaluate(el => el.scrollIntoView({ block: 'start', behavior: 'instant' }));
-
-    // Wait for image fully decoded
-    await img.evaluate(el => {
-      if (el.complete && el.naturalWidth > 0) return;
-      return new Promise(resolve => {
-        const done = () => resolve();
-        el.addEventListener('load', done, { once: true });
-        el.addEventListener('error', done, { once: true });
-        setTimeout(done, 5000);
-      });
-    });
-
-    const info = await img.evaluate(el => ({
-      src: el.src,
-      pageNum: el.getAttribute('data-pagenum'),
-      naturalWidth: el.naturalWidth,
-      naturalHeight: el.naturalHeight,
-      complete: el.complete
-    }));
-    console.log(`Page ${i + 1}/${handles.length} (pagenum=${info.pageNum}, ${info.naturalWidth}x${info.naturalHeight}, complete=${info.complete})`);
-
-    let shot = null;
-
-    // Strategy 1: re-encode the already-decoded <img> through a canvas. No new
-    // network request, so it can't hit expired signed URLs, and it yields the
-    // natural-resolution image. Requires --disable-web-security (canvas taint).
-    if (info.naturalWidth > 0) {
-      try {
-        const dataUrl = await img.evaluate(el => {
-          const canvas = document.createElement('canvas');
-          canvas.width = el.naturalWidth;
-          canvas.height = el.naturalHeight;
-          canvas.getContext('2d').drawImage(el, 0, 0);
-          return canvas.toDataURL('image/jpeg', 0.9);
+    let captured;
+    try {
+      captured = await withRetries(`Capturing vertical page ${i + 1}`, retries, async () => {
+        // Scroll the image into view FIRST — vertical docs lazy-load page images,
+        // so below-the-fold pages may not even have a real src until visible.
+        await img.evaluate(el => el.scrollIntoView({ block: 'start', behavior: 'instant' }));
+
+        // Wait for image fully decoded
+        await img.evaluate(el => {
+          if (el.complete && el.naturalWidth > 0) return;
+          return new Promise(resolve => {
+            const done = () => resolve();
+            el.addEventListener('load', done, { once: true });
+            el.addEventListener('error', done, { once: true });
+            setTimeout(done, 5000);
+          });
         });
-        shot = Buffer.from(dataUrl.split(',')[1], 'base64');
-        console.log(`  canvas re-encode: ${shot.length} bytes`);
-      } catch (canvasErr) {
-        console.log(`  canvas re-encode failed (${canvasErr.message})`);
-      }
-    }
 
-    // Strategy 2: fetch the image bytes from its URL in the browser context
-    // (session cookies carry).
-    if (!shot) {
-      try {
-        const bytes = await page.evaluate(async (url) => {
-          const resp = await fetch(url, { credentials: 'include' });
-          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-          const buf = new Uint8Array(await resp.arrayBuffer());
-          return Array.from(buf);
-        }, info.src);
-        shot = Buffer.from(bytes);
-        console.log(`  fetched ${shot.length} bytes from CDN`);
-      } catch (fetchErr) {
-        console.log(`  direct fetch failed (${fetchErr.message}), falling back to screenshot`);
-      }
-    }
+        const info = await img.evaluate(el => ({
+          src: el.src,
+          pageNum: el.getAttribute('data-pagenum'),
+          title: el.getAttribute('alt') || el.getAttribute('aria-label') || el.getAttribute('title'),
+          naturalWidth: el.naturalWidth,
+          naturalHeight: el.naturalHeight,
+          complete: el.complete
+        }));
+        log.info(`Page ${i + 1}/${handles.length} (pagenum=${info.pageNum}, ${info.naturalWidth}x${info.naturalHeight}, complete=${info.complete})`);
+
+        // Element screenshots: Chromium paints regions outside the viewport
+        // BLACK when screenshotting past it (this is what produced half-black
+        // PDF pages), so never capture beyond the viewport — make the viewport
+        // big enough for the whole page image instead.
+        const growViewport = async () => {
+          const rect = await img.evaluate(el => {
+            const r = el.getBoundingClientRect();
+            return { width: Math.ceil(r.width), height: Math.ceil(r.height) };
+          });
+          const needW = Math.max(originalViewport.width, rect.width);
+          const needH = Math.max(originalViewport.height, rect.height);
+          if (page.viewport().width < needW || page.viewport().height < needH) {
+            await page.setViewport({ width: needW, height: needH });
+            viewportDirty = true;
+          }
+          await img.evaluate(el => el.scrollIntoView({ block: 'start', behavior: 'instant' }));
+          await page.waitForTimeout(500);
+        };
 
-    // Strategy 3: element screenshot with the viewport grown to fit the whole
-    // page image. Chromium paints regions outside the viewport BLACK when
-    // screenshotting past it (this is what produced half-black PDF pages), so
-    // never capture beyond the viewport — make the viewport big enough instead.
-    if (!shot) {
-      const rect = await img.evaluate(el => {
-        const r = el.getBoundingClientRect();
-        return { width: Math.ceil(r.width), height: Math.ceil(r.height) };
+        const result = await captureImageElement(page, img, info, { beforeScreenshot: growViewport });
+        if (!result) throw new Error('No capture strategy produced an image');
+        return { ...result, info };
       });
-      const needW = Math.max(originalViewport.width, rect.width);
-      const needH = Math.max(originalViewport.height, rect.height);
-      if (page.viewport().width < needW || page.viewport().height < needH) {
-        await page.setViewport({ width: needW, height: needH });
-        viewportDirty = true;
-      }
-      await img.evaluate(el => el.scrollIntoView({ block: 'start', behavior: 'instant' }));
-      await page.waitForTimeout(500);
-      shot = await img.screenshot({ type: 'jpeg', quality: 80 });
-      console.log(`  element screenshot: ${shot.length} bytes`);
+    } catch (error) {
+      const pageNum = Number(await img.evaluate(el => el.getAttribute('data-pagenum')).catch(() => null)) || i + 1;
+      log.warn(`Giving up on page ${pageNum}: ${error.message}`);
+      missingPages.push(pageNum);
+      continue;
     }
+    const { shot, suspect, strategy, info } = captured;
 
     screenshots.push(shot);
-    await onCheckpoint(`capture-vertical-page-${i + 1}`, { page, extra: info });
+    pages.push({ label: info.pageNum, title: slideTitle(info.title), suspect });
+    await onCheckpoint(`capture-vertical-page-${i + 1}`, { page, extra: { ...info, strategy, total: handles.length } });
   }
 
   if (viewportDirty) {
     await page.setViewport(originalViewport);
   }
 
-  console.log(`Captured ${screenshots.length} vertical pages`);
-  return screenshots;
+  if (screenshots.length === 0) {
+    throw new CaptureIncomplete('None of the vertical document pages could be captured');
+  }
+  // The expected total comes from the viewer's page counter, never from the
+  // images just captured, or missing pages could never show up
+  const expectedPages = totalPages || (await readPageCounter(page).catch(() => ({ total: null }))).total;
+  const completeness = completenessReport(pages, expectedPages);
+  const missing = completeness.verified ? completeness.missingPages : missingPages;
+  log.info(`Captured ${screenshots.length} vertical pages${missing.length ? `, missing ${missing.join(', ')}` : ''}`);
+  return { screenshots, pages, partial: missing.length > 0, missingPages: missing, completeness };
 }
 
 /**
@@ -166,8 +336,10 @@ async function captureVerticalPages(page, { onCheckpoint = noop } = {}) {
  * slide is shown at a time and advanced with ArrowRight. Grabbing the decoded
  * <img> bytes (canvas re-encode, then CDN fetch) instead of a viewport
  * screenshot avoids the blank/white pages that happen when the screenshot fires
- * before the slide has painted. Returns a Buffer, or null when no slide <img> is
- * present so the caller can fall back to a full-page screenshot.
+ * before the slide has painted. Returns captureImageElement's
+ * { shot, suspect, strategy }, or null when no slide <img> is present (or no
+ * strategy produced an image) so the caller can fall back to a full-page
+ * screenshot.
  */
 async function captureSlideImage(page, pageNum) {
   const handle = await page.evaluateHandle((pn) => {
@@ -212,60 +384,161 @@ async function captureSlideImage(page, pageNum) {
       naturalWidth: el.naturalWidth,
       naturalHeight: el.naturalHeight
     }));
-    console.log(`  slide image ${info.naturalWidth}x${info.naturalHeight} (reported page ${pageNum})`);
+    log.debug(`slide image ${info.naturalWidth}x${info.naturalHeight} (reported page ${pageNum})`);
 
-    // Strategy 1: re-encode the already-decoded <img> through a canvas. No new
-    // network request (can't hit expired signed URLs) and yields natural
-    // resolution. Requires --disable-web-security for the cross-origin read.
-    if (info.naturalWidth > 0) {
-      try {
-        const dataUrl = await img.evaluate(el => {
-          const canvas = document.createElement('canvas');
-          canvas.width = el.naturalWidth;
-          canvas.height = el.naturalHeight;
-          canvas.getContext('2d').drawImage(el, 0, 0);
-          return canvas.toDataURL('image/jpeg', 0.9);
-        });
-        const buf = Buffer.from(dataUrl.split(',')[1], 'base64');
-        console.log(`  canvas re-encode: ${buf.length} bytes`);
-        return buf;
-      } catch (canvasErr) {
-        console.log(`  canvas re-encode failed (${canvasErr.message})`);
-      }
-    }
+    return await captureImageElement(page, img, info);
+  } finally {
+    await handle.dispose();
+  }
+}
 
-    // Strategy 2: fetch the image bytes from its URL in the page context
-    // (session cookies carry).
-    if (info.src) {
-      try {
-        const bytes = await page.evaluate(async (url) => {
-          const resp = await fetch(url, { credentials: 'include' });
-          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-          return Array.from(new Uint8Array(await resp.arrayBuffer()));
-        }, info.src);
-        const buf = Buffer.from(bytes);
-        console.log(`  fetched ${buf.length} bytes from CDN`);
-        return buf;
-      } catch (fetchErr) {
-        console.log(`  direct fetch failed (${fetchErr.message})`);
+/**
+ * Read the document's name, owner and page count from the viewer once the
+ * gates are passed. DocSend puts the name in the page title (with a
+ * " | DocSend" suffix) and og:title, and the owner in the header or the
+ * author meta tag. The page count comes from the "12 / 40" counter, or on
+ * vertical docs without one from the number of stacked page images;
+ * `pageCountSource` says which ('counter' or 'images'). Any field that can't
+ * be found is null.
+ */
+async function readDocumentMetadata(page) {
+  const metadata = await page.evaluate(() => {
+    const text = el => (el && (el.getAttribute('content') || el.textContent) || '').trim();
+    const first = selectors => {
+      for (const sel of selectors) {
+        const value = text(document.querySelector(sel));
+        if (value) return value;
       }
+      return '';
+    };
+
+    const rawTitle = first([
+      'meta[property="og:title"]',
+      '.presentation-title',
+      '.document-name',
+      '[data-testid="document-name"]'
+    ]) || document.title || '';
+    const title = rawTitle.replace(/\s*[|\-–]\s*DocSend\s*$/i, '').trim();
+
+    const owner = first([
+      '.presentation-owner',
+      '.company-name',
+      '.owner-name',
+      '[data-testid="owner-name"]',
+      'meta[name="author"]'
+    ]);
+
+    let pageCount = null;
+    let pageCountSource = null;
+    const counter = document.querySelector('span[aria-label="page number"]');
+    const counterText = counter && counter.parentElement ? counter.parentElement.textContent : '';
+    const totalMatch = counterText.match(/\d+\s*(?:\/|of)\s*(\d+)/i);
+    if (totalMatch) {
+      pageCount = parseInt(totalMatch[1], 10);
+      pageCountSource = 'counter';
+    } else if (document.body && document.body.classList.contains('vertical')) {
+      pageCount = document.querySelectorAll('img.preso-view.page-view').length || null;
+      pageCountSource = pageCount ? 'images' : null;
     }
 
-    // Strategy 3: element screenshot of the slide image itself.
-    try {
-      const shot = await img.screenshot({ type: 'jpeg', quality: 80 });
-      console.log(`  element screenshot: ${shot.length} bytes`);
-      return shot;
-    } catch (shotErr) {
-      console.log(`  element screenshot failed (${shotErr.message})`);
-      return null;
-    }
-  } finally {
-    await handle.dispose();
+    return { title: title || null, owner: owner || null, pageCount, pageCountSource };
+  });
+  log.info('Document metadata:', metadata);
+  return metadata;
+}
+
+// The deck's page counter ("12 / 40"): the current page and the total, each
+// null when the viewer doesn't show it
+async function readPageCounter(page) {
+  return page.evaluate(() => {
+    const el = document.querySelector('span[aria-label="page number"]');
+    const current = el ? parseInt(el.textContent, 10) : NaN;
+    const text = el && el.parentElement ? el.parentElement.textContent : '';
+    const match = text.match(/\d+\s*(?:\/|of)\s*(\d+)/i);
+    return {
+      current: Number.isNaN(current) ? null : current,
+      total: match ? parseInt(match[1], 10) : null
+    };
+  });
+}
+
+// Prefer the decoded slide <img> over a viewport screenshot — a full-page
+// screenshot goes white if the slide image hasn't painted yet, which is what
+// produced blank PDF pages. Fall back to a full-page shot only if no slide
+// image is present.
+async function captureDeckSlide(page, pageNumber) {
+  const captured = await captureSlideImage(page, pageNumber);
+  if (captured) return captured;
+  const shot = await page.screenshot({ fullPage: true, type: 'jpeg', quality: 80 });
+  log.debug(`full-page screenshot fallback: ${shot.length} bytes`);
+  return { shot, suspect: await suspectPageReason(page, shot), strategy: 'full-page' };
+}
+
+// Step the deck to a given page number with the arrow keys, waiting for the
+// counter to move after each press so no slide is skipped.
+async function goToPage(page, target) {
+  for (let steps = 0; steps < 1000; steps++) {
+    const { current } = await readPageCounter(page);
+    if (current === target) break;
+    if (current === null) throw new Error('Page counter not found');
+    await page.keyboard.press(current < target ? 'ArrowRight' : 'ArrowLeft');
+    await page.waitForFunction(
+      (prev) => {
+        const el = document.querySelector('span[aria-label="page number"]');
+        return el && parseInt(el.textContent, 10) !== prev;
+      },
+      { timeout: 5000 },
+      current
+    );
+  }
+  const { current } = await readPageCounter(page);
+  if (current !== target) throw new Error(`Could not navigate to page ${target} (at ${current})`);
+  await page.waitForFunction(
+    () => !document.querySelector('.loading-spinner') && !document.querySelector('.loading'),
+    { timeout: 30000 }
+  );
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Check the captured page numbers against the viewer's total page count.
+ * `verified` is false when the total or any page number is unknown; then
+ * nothing can be said about missing pages and the capture must not be
+ * presented as complete.
+ */
+function completenessReport(pages, expectedPages) {
+  const numbers = pages.map(p => Number(p.label));
+  const verified = Boolean(expectedPages) && numbers.every(n => Number.isInteger(n) && n > 0);
+  const seen = new Set();
+  const duplicatePages = new Set();
+  for (const n of numbers) {
+    if (seen.has(n)) duplicatePages.add(n);
+    seen.add(n);
   }
+  const missingPages = verified ? pageRange(1, expectedPages).filter(n => !seen.has(n)) : [];
+  return {
+    expectedPages: expectedPages || null,
+    capturedPages: pages.length,
+    missingPages,
+    duplicatePages: [...duplicatePages],
+    verified,
+    complete: verified && missingPages.length === 0 && duplicatePages.size === 0
+  };
 }
 
-async function capturePages(page, { onCheckpoint = noop } = {}) {
+/**
+ * Capture every page of the document. Each page is retried up to `retries`
+ * times; if a deck page still fails, capture stops there and the pages
+ * already captured are returned with `partial: true` and `missingPages`
+ * (through `totalPages`, DocSend's page count, when known). A failure before
+ * the first page is captured is thrown as before.
+ *
+ * Deck capture ends when the page counter stops advancing, which a slow
+ * slide can cause early, so the result is then checked against the viewer's
+ * total: duplicate pages are dropped and missing ones are revisited directly.
+ * The result carries a `completeness` report (see completenessReport).
+ */
+async function capturePages(page, { onCheckpoint = noop, retries = 0, totalPages = null } = {}) {
   // Branch for vertical DocSend docs — body.vertical is set on portrait/long-form docs
   // where ArrowRight navigation doesn't work and the landscape viewport clips content.
   // Kill switch: set VERTICAL_CAPTURE_LEGACY=1 to force old behavior.
@@ -273,11 +546,11 @@ async function capturePages(page, { onCheckpoint = noop } = {}) {
     document.body && document.body.classList && document.body.classList.contains('vertical')
   );
   if (isVertical && process.env.VERTICAL_CAPTURE_LEGACY !== '1') {
-    console.log('Detected vertical DocSend doc');
-    return captureVerticalPages(page, { onCheckpoint });
+    log.info('Detected vertical DocSend doc');
+    return captureVerticalPages(page, { onCheckpoint, retries, totalPages });
   }
 
-  console.log('Capturing document pages...');
+  log.info('Capturing document pages...');
   await page.evaluate(() => {
     const selectors = [
       'header', '.header', '.top-bar', '.presentation-toolbar',
@@ -287,7 +560,7 @@ async function capturePages(page, { onCheckpoint = noop } = {}) {
       document.querySelectorAll(sel).forEach(el => el.style.display = 'none')
     );
   });
-  console.log('UI hidden; focusing page');
+  log.info('UI hidden; focusing page');
   const { width, height } = page.viewport();
   await page.mouse.click(width / 2, height / 2);
   await page.evaluate(() => {
@@ -308,43 +581,60 @@ async function capturePages(page, { onCheckpoint = noop } = {}) {
   try {
     await page.waitForSelector('img.preso-view.page-view', { timeout: 15000 });
   } catch (e) {
-    console.log('No preso-view slide image appeared within timeout; relying on full-page screenshots');
+    log.info('No preso-view slide image appeared within timeout; relying on full-page screenshots');
   }
 
   await onCheckpoint('capture-ready', { page });
   const screenshots = [];
+  const pages = [];
   let lastPage = null;
   let pageNum = 1;
-  while (true) {
-    const current = await page.evaluate(() => {
-      const el = document.querySelector('span[aria-label="page number"]');
-      return el ? parseInt(el.textContent, 10) : null;
-    });
-    console.log(`Capturing page ${pageNum} (reported page number ${current})`);
+  let missingPages = [];
+  // Stop at a page that keeps failing, keeping what we have. With nothing
+  // captured yet there is no partial result to return, so rethrow.
+  const giveUp = (error) => {
+    if (screenshots.length === 0) throw error;
+    const firstMissing = typeof lastPage === 'number' ? lastPage + 1 : pageNum;
+    log.info(`Giving up at page ${firstMissing}: ${error.message}`);
+    // Failing to move past the final page loses nothing
+    if (totalPages && firstMissing > totalPages) return;
+    missingPages = pageRange(firstMissing, totalPages);
+  };
 
-    // Prefer the decoded slide <img> over a viewport screenshot — a full-page
-    // screenshot goes white if the slide image hasn't painted yet, which is what
-    // produced blank PDF pages. Fall back to a full-page shot only if no slide
-    // image is present.
-    let shot = await captureSlideImage(page, current);
-    if (!shot) {
-      shot = await page.screenshot({ fullPage: true, type: 'jpeg', quality: 80 });
-      console.log(`  full-page screenshot fallback: ${shot.length} bytes`);
+  while (true) {
+    let captured;
+    try {
+      captured = await withRetries(`Capturing page ${pageNum}`, retries, async () => {
+        const { current } = await readPageCounter(page);
+        log.info(`Capturing page ${pageNum} (reported page number ${current})`);
+        return { current, ...await captureDeckSlide(page, current) };
+      });
+    } catch (error) {
+      giveUp(error);
+      break;
     }
+    const { current, shot, suspect, strategy } = captured;
 
-    await onCheckpoint(`capture-page-${pageNum}`, { page, extra: { reportedPageNumber: current, lastPage } });
+    await onCheckpoint(`capture-page-${pageNum}`, { page, extra: { reportedPageNumber: current, lastPage, strategy } });
     // Page counter didn't advance → we already captured this page last
     // iteration; drop the duplicate shot. (Keep the first shot even when the
     // counter is missing so a counter-less viewer still yields one page.)
     if (current === lastPage && screenshots.length > 0) break;
     screenshots.push(shot);
+    pages.push({ label: current, title: await readSlideTitle(page, current), suspect });
     lastPage = current;
     pageNum++;
     await page.keyboard.press('ArrowRight');
-    await page.waitForFunction(
-      () => !document.querySelector('.loading-spinner') && !document.querySelector('.loading'),
-      { timeout: 30000 }
-    );
+    try {
+      // Only the wait is retried; pressing ArrowRight again could skip a page
+      await withRetries(`Loading page ${pageNum}`, retries, () => page.waitForFunction(
+        () => !document.querySelector('.loading-spinner') && !document.querySelector('.loading'),
+        { timeout: 30000 }
+      ));
+    } catch (error) {
+      giveUp(error);
+      break;
+    }
     // Wait for the page counter to advance instead of sleeping a fixed 2s.
     // On the last slide it never advances — the 2s timeout fires once and the
     // duplicate-page check above terminates the loop, same as before.
@@ -358,34 +648,560 @@ async function capturePages(page, { onCheckpoint = noop } = {}) {
     ).catch(() => {});
     await page.waitForTimeout(300);
   }
-  console.log(`Captured ${screenshots.length} pages`);
-  return screenshots;
+
+  const expectedPages = totalPages || (await readPageCounter(page).catch(() => ({ total: null }))).total;
+  const firstPass = completenessReport(pages, expectedPages);
+  let entries = screenshots.map((shot, i) => ({ shot, page: pages[i] }));
+  if (firstPass.verified && !firstPass.complete) {
+    log.info(`Capture check: ${firstPass.capturedPages} of ${expectedPages} pages, missing [${firstPass.missingPages.join(', ')}], duplicates [${firstPass.duplicatePages.join(', ')}]`);
+    // Keep the first capture of each page number
+    entries = entries.filter((entry, i) => pages.findIndex(p => Number(p.label) === Number(entry.page.label)) === i);
+    for (const target of firstPass.missingPages) {
+      try {
+        const { shot, suspect, strategy } = await withRetries(`Going back for page ${target}`, retries, async () => {
+          await goToPage(page, target);
+          return captureDeckSlide(page, target);
+        });
+        entries.push({ shot, page: { label: target, title: await readSlideTitle(page, target), suspect } });
+        await onCheckpoint(`capture-revisit-page-${target}`, { page, extra: { reportedPageNumber: target, strategy } });
+      } catch (error) {
+        // Later gaps would need the same navigation; leave them missing
+        log.warn(`Could not go back for page ${target}: ${error.message}`);
+        break;
+      }
+    }
+    entries.sort((a, b) => Number(a.page.label) - Number(b.page.label));
+  }
+
+  const completeness = {
+    ...completenessReport(entries.map(entry => entry.page), expectedPages),
+    duplicatePages: firstPass.duplicatePages
+  };
+  if (completeness.verified) missingPages = completeness.missingPages;
+  log.info(`Captured ${entries.length} pages${missingPages.length ? `, missing ${missingPages.join(', ')}` : ''}${completeness.verified ? '' : ' (page count not verified)'}`);
+  return {
+    screenshots: entries.map(entry => entry.shot),
+    pages: entries.map(entry => entry.page),
+    partial: missingPages.length > 0,
+    missingPages,
+    completeness
+  };
+}
+
+// DocSend serves a normal 200 page for disabled, expired and deleted links, so
+// the status code alone isn't enough to tell a dead link from a live one.
+const UNAVAILABLE_TEXT = /(link (has been|was) (disabled|removed|deleted)|(link|document) (has expired|is no longer (available|active))|page (you were looking for|not found))/i;
+
+async function isDocumentUnavailable(page) {
+  return page.evaluate((pattern) => {
+    if (document.querySelector('img.preso-view.page-view')) return false;
+    const text = (document.body && document.body.innerText) || '';
+    return new RegExp(pattern, 'i').test(text.slice(0, 5000));
+  }, UNAVAILABLE_TEXT.source);
+}
+
+// True while a visible email input is still on the page or in the login iframe
+async function isEmailGateVisible(page) {
+  for (const frame of page.frames()) {
+    try {
+      const visible = await frame.evaluate(() => {
+        if (document.querySelector('img.preso-view.page-view')) return false;
+        return Array.from(document.querySelectorAll('input[type="email"], input[name="email"]'))
+          .some(el => el.offsetWidth > 0 && el.offsetHeight > 0);
+      });
+      if (visible) return true;
+    } catch (e) {}
+  }
+  return false;
+}
+
+// After submitting a passcode DocSend either moves on to the viewer or stays
+// on the gate, usually with an inline error next to the field.
+async function isPasscodeRejected(page) {
+  for (const frame of page.frames()) {
+    try {
+      const rejected = await frame.evaluate(() => {
+        if (document.querySelector('img.preso-view.page-view')) return false;
+        const text = (document.body && document.body.innerText) || '';
+        if (/(incorrect|invalid|wrong) (passcode|password)|(passcode|password) (is )?(incorrect|invalid|wrong)/i.test(text)) {
+          return true;
+        }
+        return Array.from(document.querySelectorAll('input[type="password"]'))
+          .some(el => el.offsetWidth > 0 && el.offsetHeight > 0);
+      });
+      if (rejected) return true;
+    } catch (e) {}
+  }
+  return false;
+}
+
+// A passcode form is showing: a visible password field and no viewer yet.
+// Used to spot a gate when no passcode was supplied.
+async function isPasscodeGateVisible(page) {
+  for (const frame of page.frames()) {
+    try {
+      const visible = await frame.evaluate(() => {
+        if (document.querySelector('img.preso-view.page-view')) return false;
+        return Array.from(document.querySelectorAll('input[type="password"]'))
+          .some(el => el.offsetWidth > 0 && el.offsetHeight > 0);
+      });
+      if (visible) return true;
+    } catch (e) {}
+  }
+  return false;
+}
+
+// Some documents put a "sign/accept this NDA" interstitial in front of the
+// viewer, sometimes on the same form as the email gate. Returns the frame
+// holding the agreement, or null. Requires agreement wording plus a control
+// to accept it, so DocSend's own "by continuing you agree to our terms"
+// footer doesn't count.
+async function findAgreementFrame(page) {
+  for (const frame of page.frames()) {
+    try {
+      const found = await frame.evaluate(() => {
+        if (document.querySelector('img.preso-view.page-view')) return false;
+        const text = (document.body && document.body.innerText) || '';
+        if (!/non-?disclosure agreement|confidentiality agreement|\bNDA\b/i.test(text)) return false;
+        const visible = el => el.offsetWidth > 0 && el.offsetHeight > 0;
+        const hasCheckbox = Array.from(document.querySelectorAll('input[type="checkbox"]')).some(visible);
+        const hasAgreeButton = Array.from(document.querySelectorAll('button, [role="button"], input[type="submit"]'))
+          .some(el => visible(el) && /agree|accept|sign/i.test(el.innerText || el.value || ''));
+        return hasCheckbox || hasAgreeButton;
+      });
+      if (found) return frame;
+    } catch (e) {}
+  }
+  return null;
+}
+
+// Fill in the signer name, tick the agreement boxes and press the
+// agree/continue button. Throws AgreementFailed if the gate is still there.
+async function acceptAgreement(page, frame, signer) {
+  const nameField = await frame.$([
+    'input[name*="name" i]',
+    'input[placeholder*="name" i]',
+    'input[aria-label*="name" i]',
+    'input[autocomplete="name"]'
+  ].join(', '));
+  if (nameField) {
+    await nameField.click({ clickCount: 3 }).catch(() => {});
+    await nameField.type(signer);
+    log.info('Entered signer name on agreement');
+  }
+
+  await frame.evaluate(() => {
+    document.querySelectorAll('input[type="checkbox"]').forEach((el) => {
+      if (!el.checked && el.offsetWidth > 0 && el.offsetHeight > 0) el.click();
+    });
+  });
+
+  const buttons = await frame.$x(
+    "//button[contains(translate(normalize-space(.), 'AGREECPTSINOU', 'agreecptsinou'), 'agree') or " +
+    "contains(translate(normalize-space(.), 'AGREECPTSINOU', 'agreecptsinou'), 'accept') or " +
+    "contains(translate(normalize-space(.), 'AGREECPTSINOU', 'agreecptsinou'), 'sign') or " +
+    "contains(translate(normalize-space(.), 'AGREECPTSINOU', 'agreecptsinou'), 'continue')]"
+  );
+  if (buttons.length === 0) {
+    throw new AgreementFailed('No agree/continue button on agreement');
+  }
+  try {
+    await buttons[0].click();
+  } catch (clickErr) {
+    await buttons[0].evaluate(el => el.click());
+  }
+  await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 30000 }).catch(() => {});
+  await page.waitForTimeout(1500);
+
+  if (await findAgreementFrame(page)) {
+    throw new AgreementFailed('Agreement still showing after accepting');
+  }
+}
+
+// Some documents make the viewer confirm their email with a one-time code
+// DocSend mails to it. Returns the frame showing the code form, or null.
+async function findVerificationFrame(page) {
+  for (const frame of page.frames()) {
+    try {
+      const found = await frame.evaluate(() => {
+        if (document.querySelector('img.preso-view.page-view')) return false;
+        const text = (document.body && document.body.innerText) || '';
+        if (!/verification code|verify your email|confirm your email|enter the code|sent (you )?a (\d-digit )?code|one-time (pass)?code/i.test(text)) {
+          return false;
+        }
+        return Array.from(document.querySelectorAll('input'))
+          .some(el => el.offsetWidth > 0 && el.offsetHeight > 0 &&
+            (el.autocomplete === 'one-time-code' || ['text', 'tel', 'number'].includes(el.type)) &&
+            !/email/i.test(`${el.name} ${el.id} ${el.placeholder}`));
+      });
+      if (found) return frame;
+    } catch (e) {}
+  }
+  return null;
+}
+
+// Type the code (into one field, or a character per box when the form splits
+// it) and submit it. Throws VerificationFailed if the form is still showing.
+async function enterVerificationCode(page, frame, code, onCheckpoint) {
+  const fields = [];
+  for (const input of await frame.$$('input')) {
+    const usable = await input.evaluate(el => el.offsetWidth > 0 && el.offsetHeight > 0 &&
+      (el.autocomplete === 'one-time-code' || ['text', 'tel', 'number'].includes(el.type)) &&
+      !/email/i.test(`${el.name} ${el.id} ${el.placeholder}`));
+    if (usable) fields.push(input);
+  }
+  if (fields.length === 0) {
+    await onCheckpoint('verification-field-not-found', { page, frame });
+    throw new VerificationFailed('Verification code field not found');
+  }
+
+  const split = fields.length > 1 && fields.length >= code.length &&
+    await fields[0].evaluate(el => el.maxLength === 1);
+  if (split) {
+    for (const [i, char] of [...code].entries()) await fields[i].type(char);
+  } else {
+    await fields[0].click({ clickCount: 3 }).catch(() => {});
+    await fields[0].type(code);
+  }
+  log.info(`Verification code typed into ${split ? `${code.length} boxes` : 'field'}`);
+  await onCheckpoint('verification-code-typed', { page, frame });
+
+  const lower = "translate(normalize-space(.), 'CONTIUEVRFYSBM', 'contiuevrfysbm')";
+  const [button] = await frame.$x(
+    `//button[contains(${lower}, 'continue') or contains(${lower}, 'verify') or ` +
+    `contains(${lower}, 'submit') or contains(${lower}, 'confirm')]`
+  );
+  if (button) {
+    try {
+      await button.click();
+    } catch (clickErr) {
+      await button.evaluate(el => el.click());
+    }
+  } else {
+    // Code forms often submit themselves once the last box is filled
+    await fields[fields.length - 1].press('Enter').catch(() => {});
+  }
+  await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 30000 }).catch(() => {});
+  await page.waitForTimeout(1500);
+  await onCheckpoint('verification-submitted', { page });
+
+  if (await findVerificationFrame(page)) {
+    await onCheckpoint('verification-rejected', { page });
+    throw new VerificationFailed('Verification code form still showing after submitting the code');
+  }
+}
+
+/**
+ * The documents listed on a DocSend Space landing page, as [{ name, url }],
+ * or null when the page is a document viewer. Space documents are links
+ * below the Space's own path (`<space>/d/<document>`).
+ */
+async function listSpaceDocuments(page) {
+  const documents = await page.evaluate(() => {
+    if (document.querySelector('img.preso-view.page-view')) return [];
+    const prefix = `${location.origin}${location.pathname.replace(/\/$/, '')}/d/`;
+    const seen = new Set();
+    const found = [];
+    document.querySelectorAll('a[href]').forEach((a) => {
+      const href = a.href.split(/[?#]/)[0];
+      if (!href.startsWith(prefix) || seen.has(href)) return;
+      seen.add(href);
+      const label = (a.getAttribute('title') || a.getAttribute('aria-label') || a.textContent || '')
+        .split('\n').map(line => line.trim()).find(Boolean);
+      found.push({ name: label || null, url: href });
+    });
+    return found;
+  }).catch(() => []);
+  if (documents.length === 0) return null;
+  log.info(`Space lists ${documents.length} documents`);
+  return documents.map((doc, i) => ({ ...doc, name: doc.name || `Document ${i + 1}` }));
+}
+
+// Capture the documents of an opened Space (data room), one after another in
+// `context`, the browser context whose session got past the Space's gates, so
+// those gates (including the Space passcode) aren't repeated. `space` is the
+// landing page's { title, owner, url, documents }.
+//
+// `onDocument({ index, total, name, url, result, error })` is called as each
+// document finishes, so callers can build its PDF and drop the screenshots
+// before the next one. At most `maxDocuments` are captured. Returns
+// { title, owner, url, documents: [{ name, url, pageCount, error }], skipped }.
+async function captureSpaceDocuments(context, space, opts) {
+  const { onCheckpoint = noop, onDocument = noop, maxDocuments = 25 } = opts;
+  const { title, owner, url } = space;
+  const documents = space.documents.slice(0, maxDocuments);
+  const skipped = space.documents.length - documents.length;
+  if (skipped > 0) log.info(`Space has ${space.documents.length} documents; capturing the first ${maxDocuments}`);
+  await onCheckpoint('space-listed', { extra: { title, total: documents.length, skipped } });
+
+  const summary = [];
+  for (const [i, doc] of documents.entries()) {
+    const index = i + 1;
+    log.info(`Capturing Space document ${index}/${documents.length}: ${doc.name}`);
+    await onCheckpoint('space-document', { extra: { index, total: documents.length, name: doc.name } });
+    try {
+      // The Space's passcode was entered on the landing page; documents
+      // inside don't ask again
+      const result = await convertDocSendToPDF(doc.url, '', { ...opts, context, passcode: null, spaceCapture: null });
+      await onDocument({ index, total: documents.length, name: doc.name, url: doc.url, result });
+      summary.push({ name: doc.name, url: doc.url, pageCount: result.metadata.pageCount, error: null });
+    } catch (error) {
+      log.warn(`Space document ${doc.name} failed:`, error.message);
+      await onDocument({ index, total: documents.length, name: doc.name, url: doc.url, error });
+      summary.push({ name: doc.name, url: doc.url, pageCount: null, error });
+    }
+  }
+  return { title, owner, url, documents: summary, skipped };
+}
+
+// Find the passcode field (main page, then frames, then any input that looks
+// like one), type the passcode and submit it. Throws PasscodeFieldNotFound.
+async function enterPasscode(page, passcode, onCheckpoint) {
+  log.info('Password required; using generic password entry workflow...');
+  const passInputSelectors = [
+    'input[type="password"]',
+    'input[name="passcode"]',
+    'input[name="password"]',
+    'input[name="passCode"]',
+    'input[name="pass"]',
+    'input[placeholder*="Pass"]',
+    'input[placeholder*="pass"]',
+    'input[placeholder*="Password"]',
+    'input[placeholder*="password"]',
+    'input[aria-label*="pass"]',
+    'input[aria-label*="Pass"]',
+    'input[id*="pass"]',
+    'input[id*="Pass"]',
+    'input[class*="pass"]',
+    'input[class*="Pass"]',
+    'input[data-testid*="pass"]',
+    'input[data-testid*="Pass"]'
+  ];
+
+  let inputFrame = page;
+  let passInputHandle = null;
+  let foundSelector = null;
+
+  await page.waitForTimeout(3000);
+
+  for (const selector of passInputSelectors) {
+    try {
+      passInputHandle = await page.waitForSelector(selector, { timeout: 2000 });
+      if (passInputHandle) {
+        foundSelector = selector;
+        log.info(`Found password field in main page with selector: ${selector}`);
+        break;
+      }
+    } catch (e) {}
+  }
+
+  if (!passInputHandle) {
+    log.info('Password field not found in main page, searching frames...');
+    for (const frame of page.frames()) {
+      if (passInputHandle) break;
+      for (const selector of passInputSelectors) {
+        try {
+          passInputHandle = await frame.waitForSelector(selector, { timeout: 2000 });
+          if (passInputHandle) {
+            inputFrame = frame;
+            foundSelector = selector;
+            log.info(`Found password field in frame with selector: ${selector}`);
+            break;
+          }
+        } catch (e) {}
+      }
+    }
+  }
+
+  if (!passInputHandle) {
+    log.info('Trying generic input field search...');
+    try {
+      const allInputs = await page.$$('input');
+      for (const input of allInputs) {
+        const inputType = await input.evaluate(el => el.type);
+        const inputName = await input.evaluate(el => el.name);
+        const inputPlaceholder = await input.evaluate(el => el.placeholder);
+        const inputId = await input.evaluate(el => el.id);
+        const inputClass = await input.evaluate(el => el.className);
+
+        log.debug(`Found input: type=${inputType}, name=${inputName}, placeholder=${inputPlaceholder}, id=${inputId}, class=${inputClass}`);
+
+        if (inputType === 'password' ||
+            (inputName && inputName.toLowerCase().includes('pass')) ||
+            (inputPlaceholder && inputPlaceholder.toLowerCase().includes('pass')) ||
+            (inputId && inputId.toLowerCase().includes('pass')) ||
+            (inputClass && inputClass.toLowerCase().includes('pass'))) {
+          passInputHandle = input;
+          foundSelector = 'generic search';
+          log.info('Found password field via generic search');
+          break;
+        }
+      }
+    } catch (e) {
+      log.warn('Generic input search failed:', e);
+    }
+  }
+
+  if (!passInputHandle) {
+    await onCheckpoint('password-field-not-found', { page });
+    try {
+      const debugShot = await page.screenshot({ fullPage: true });
+      log.info('Debug screenshot taken, size:', debugShot.length);
+    } catch (e) {
+      log.warn('Could not take debug screenshot');
+    }
+    throw new PasscodeFieldNotFound('Passcode input field not found after exhaustive search');
+  }
+
+  // Select whatever an earlier, rejected attempt left in the field so
+  // typing replaces it
+  await passInputHandle.click({ clickCount: 3 }).catch(() => {});
+  if (foundSelector === 'generic search') {
+    await passInputHandle.type(passcode);
+  } else {
+    await inputFrame.type(foundSelector, passcode);
+  }
+  log.info('Passcode typed into field');
+  await onCheckpoint('passcode-typed', { page });
+
+  const continueXPath = "//button[contains(normalize-space(.), 'Continue')]";
+  let clicked = false;
+  const [btnMain] = await page.$x(continueXPath);
+  if (btnMain) {
+    await btnMain.click();
+    clicked = true;
+  } else {
+    for (const frame of page.frames()) {
+      const [btnFrame] = await frame.$x(continueXPath);
+      if (btnFrame) {
+        await btnFrame.click();
+        clicked = true;
+        break;
+      }
+    }
+  }
+  if (!clicked) {
+    log.info('Continue button not found after passcode entry');
+    await onCheckpoint('passcode-continue-not-found', { page });
+  } else {
+    // A rejected passcode re-renders the gate without navigating
+    await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 60000 }).catch(() => {});
+    log.info('Passcode submitted');
+    await onCheckpoint('passcode-submitted', { page });
+  }
 }
 
 async function convertDocSendToPDF(url, messageText, opts = {}) {
   const {
     launchOptions = {},
+    pool = null,
+    browser: sharedBrowser = null,
+    // Caller-owned browser context (a Space's documents), used as-is and left open
+    context: sharedContext = null,
     onCheckpoint = noop,
     keepOpenOnError = false,
-    email = process.env.DOCSEND_EMAIL
+    email = process.env.DOCSEND_EMAIL,
+    // Passcode supplied out of band (slash command); otherwise read `pw:` from messageText
+    passcode = null,
+    // NDA / agreement interstitials: 'refuse' (default) stops with
+    // AgreementRequired; 'accept' signs as `ndaSigner`, which is required.
+    ndaPolicy = 'refuse',
+    ndaSigner = null,
+    // Extra attempts for a page that fails to capture before it is given up
+    // on and a partial result is returned
+    pageRetries = 2,
+    // `async ({ url, rejected }) => passcode | null`, asked when the document
+    // is passcode-protected and no passcode was supplied (or DocSend rejected
+    // the last answer). Without it a missing passcode is PasscodeRequired.
+    requestPasscode = null,
+    // Answers to requestPasscode tried before giving up with PasscodeRejected
+    passcodeAttempts = 3,
+    // `async ({ email, url, since }) => code | null` for documents that mail
+    // a one-time code to confirm the email (see verification.js). `since` is
+    // when the email gate was reached; older messages can't hold the code.
+    // Without it those documents fail with VerificationCodeUnavailable.
+    requestVerificationCode = null,
+    // `{ onDocument, maxDocuments }` (see captureSpaceDocuments): when the
+    // link turns out to be a Space, capture its documents in this same
+    // session and return { space: <captureSpaceDocuments summary> }. Without
+    // it a Space comes back as { space: { title, owner, url, documents } }
+    // with the documents only listed.
+    spaceCapture = null
   } = opts;
 
-  console.log('Starting document capture for:', url);
+  log.info('Starting document capture for:', url);
 
+  // Where the page comes from: a caller-owned context, a leased pool browser,
+  // a caller-owned browser, or (debug.js, standalone use) a browser launched
+  // just for this document. Pool and shared browsers get a throwaway
+  // incognito context so cookies and DocSend sessions never leak between
+  // documents; a caller-owned context deliberately shares its session.
   let browser;
+  let lease;
+  let context;
   let page;
+  let pageCrashed = false;
+  // Pipeline stage, attached to any failure that isn't already typed
+  let stage = 'launch';
+  let agreementHandled = false;
+
+  // Checked after the email gate (agreements often share its form) and again
+  // after the passcode, since either can come first.
+  const handleAgreementGate = async () => {
+    if (agreementHandled) return;
+    const frame = await findAgreementFrame(page);
+    if (!frame) return;
+    agreementHandled = true;
+    stage = 'agreement';
+    await onCheckpoint('nda-detected', { page, frame, extra: { policy: ndaPolicy } });
+    if (ndaPolicy !== 'accept' || !ndaSigner) {
+      log.info('Agreement (NDA) gate detected; policy does not allow accepting it');
+      await onCheckpoint('nda-refused', { page, frame });
+      throw new AgreementRequired();
+    }
+    log.info(`Agreement (NDA) gate detected; accepting as "${ndaSigner}"`);
+    await acceptAgreement(page, frame, ndaSigner);
+    log.info(`Accepted agreement for ${url} as "${ndaSigner}" at ${new Date().toISOString()}`);
+    await onCheckpoint('nda-accepted', { page, extra: { signer: ndaSigner, url, acceptedAt: new Date().toISOString() } });
+  };
+
+  // The page stays open on the gate while the caller collects a passcode
+  const askForPasscode = async ({ rejected }) => {
+    if (!requestPasscode) throw new PasscodeRequired();
+    log.info(rejected ? 'Passcode rejected; asking for another' : 'Passcode gate detected; asking for a passcode');
+    await onCheckpoint('passcode-requested', { page, extra: { rejected } });
+    const answer = await requestPasscode({ url, rejected });
+    if (!answer) {
+      await onCheckpoint('passcode-not-supplied', { page });
+      throw rejected ? new PasscodeRejected() : new PasscodeRequired('No passcode supplied before the prompt expired');
+    }
+    return answer;
+  };
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: DEFAULT_LAUNCH_ARGS,
-      ...launchOptions
-    });
-    page = await browser.newPage();
+    if (sharedContext) {
+      context = sharedContext;
+    } else if (pool) {
+      lease = await pool.acquire();
+      context = lease.context;
+    } else if (sharedBrowser) {
+      context = await sharedBrowser.createIncognitoBrowserContext();
+    } else {
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: DEFAULT_LAUNCH_ARGS,
+        ...launchOptions
+      });
+    }
+    page = await (context || browser).newPage();
+    page.on('error', () => { pageCrashed = true; });
 
     await page.setViewport({ width: 1920, height: 1080 });
     await page.setDefaultNavigationTimeout(60000);
 
-    page.on('console', msg => console.log('Browser console:', msg.text()));
+    // Page events fire outside this capture's async context, so the job ID
+    // is passed along explicitly
+    const jobId = currentJobId();
+    page.on('console', msg => log.info('Browser console:', msg.text(), { jobId }));
 
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
     // NOTE: extra headers apply to EVERY request (CSS, XHR, images), not just
@@ -399,49 +1215,63 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
     await page.setBypassCSP(true);
     await page.setJavaScriptEnabled(true);
 
-    console.log('Navigating to URL...');
-    await page.goto(url, {
+    stage = 'load';
+    log.info('Navigating to URL...');
+    const response = await page.goto(url, {
       waitUntil: 'networkidle0',
       timeout: 120000
     });
-    console.log('Page loaded');
+    log.info('Page loaded');
+    if (response && [404, 410].includes(response.status())) {
+      throw new DocumentNotFound(`DocSend returned HTTP ${response.status()}`);
+    }
 
-    console.log('Waiting for document to be fully loaded...');
+    log.info('Waiting for document to be fully loaded...');
     await page.waitForFunction(() => {
       return document.readyState === 'complete' &&
              !document.querySelector('.loading-spinner') &&
              !document.querySelector('.loading');
     }, { timeout: 30000 });
-    console.log('Document fully loaded');
+    log.info('Document fully loaded');
     await onCheckpoint('initial-load', { page });
 
-    const passwordMatch = messageText.match(/pw:([^\s]+)/i);
-    const docsendPassword = passwordMatch ? passwordMatch[1] : null;
+    if (await isDocumentUnavailable(page)) {
+      throw new DocumentNotFound('DocSend page says the link is unavailable');
+    }
+
+    const passwordMatch = (messageText || '').match(/pw:([^\s]+)/i);
+    let docsendPassword = passcode || (passwordMatch ? passwordMatch[1] : null);
 
+    const emailStartedAt = Date.now();
     const loginFrameHandle = await page.$('iframe[src*="docsend"][src*="login"]');
     if (loginFrameHandle) {
       const loginFrame = await loginFrameHandle.contentFrame();
       await onCheckpoint('email-iframe-detected', { page, frame: loginFrame });
-      console.log('Email login iframe detected; entering DOCSEND_EMAIL');
-      await loginFrame.waitForSelector('input[type="email"]', { timeout: 60000 });
-      await loginFrame.type('input[type="email"]', email);
-      console.log('Entered email in form');
+      log.info('Email login iframe detected; entering DOCSEND_EMAIL');
+      stage = 'email';
+      try {
+        await loginFrame.waitForSelector('input[type="email"]', { timeout: 60000 });
+        await loginFrame.type('input[type="email"]', email);
+      } catch (e) {
+        throw new EmailGateFailed(`Could not enter email in login iframe: ${e.message}`, { cause: e });
+      }
+      log.info('Entered email in form');
       await onCheckpoint('email-typed-iframe', { page, frame: loginFrame });
 
       if (docsendPassword) {
-        console.log('Password required and email/password iframe detected; entering password...');
+        log.info('Password required and email/password iframe detected; entering password...');
         const passwordSelector = 'input[type="password"]';
         try {
           const passwordField = await loginFrame.waitForSelector(passwordSelector, { timeout: 5000 });
           if (passwordField) {
             await loginFrame.type(passwordSelector, docsendPassword);
-            console.log('Entered password in iframe');
+            log.info('Entered password in iframe');
             await onCheckpoint('password-typed-iframe', { page, frame: loginFrame });
           } else {
-            console.log('Password field not found in email iframe');
+            log.info('Password field not found in email iframe');
           }
         } catch (e) {
-          console.log('Error entering password in email iframe:', e.message);
+          log.warn('Error entering password in email iframe:', e.message);
         }
       }
 
@@ -450,27 +1280,27 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
           const cookieBanner = document.querySelector('#onetrust-consent-sdk');
           if (cookieBanner) cookieBanner.remove();
         });
-        console.log('Removed cookie banner if present');
+        log.info('Removed cookie banner if present');
       } catch (error) {
-        console.log('No cookie banner to remove or error removing it:', error);
+        log.warn('No cookie banner to remove or error removing it:', error);
       }
 
       await onCheckpoint('before-continue-iframe', { page, frame: loginFrame });
 
       try {
-        console.log('Trying XPath method to find continue button...');
+        log.info('Trying XPath method to find continue button...');
         try {
           const [continueBtn] = await loginFrame.$x("//button[contains(normalize-space(.), 'Continue')]");
           if (continueBtn) {
             await continueBtn.click();
             await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 60000 });
-            console.log('Email and password submitted via iframe (XPath method)');
+            log.info('Email and password submitted via iframe (XPath method)');
             await onCheckpoint('continue-clicked-xpath', { page });
           } else {
-            console.log('XPath method failed to find button');
+            log.warn('XPath method failed to find button');
             await onCheckpoint('xpath-continue-not-found', { page, frame: loginFrame });
 
-            console.log('Trying alternative button selectors...');
+            log.info('Trying alternative button selectors...');
             const alternativeSelectors = [
               "button[type='submit']",
               "button.submit-button",
@@ -482,61 +1312,66 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
 
             for (const selector of alternativeSelectors) {
               try {
-                console.log(`Trying selector: ${selector}`);
+                log.debug(`Trying selector: ${selector}`);
                 const button = await loginFrame.$(selector);
                 if (button) {
                   await button.click();
                   await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 10000 }).catch(() => {});
-                  console.log(`Email submitted via iframe using selector: ${selector}`);
+                  log.info(`Email submitted via iframe using selector: ${selector}`);
                   await onCheckpoint(`continue-clicked-alt-${selector.replace(/[^a-z0-9]/gi, '_')}`, { page });
                   break;
                 }
               } catch (err) {
-                console.log(`Error with selector ${selector}:`, err.message);
+                log.warn(`Error with selector ${selector}:`, err.message);
               }
             }
 
             try {
-              console.log('Trying to press Enter in email field...');
+              log.info('Trying to press Enter in email field...');
               await loginFrame.focus('input[type="email"]');
               await loginFrame.keyboard.press('Enter');
               await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 10000 }).catch(() => {});
-              console.log('Pressed Enter in email field');
+              log.info('Pressed Enter in email field');
               await onCheckpoint('continue-pressed-enter', { page });
             } catch (enterErr) {
-              console.log('Error pressing Enter:', enterErr.message);
+              log.warn('Error pressing Enter:', enterErr.message);
             }
           }
         } catch (xpathError) {
-          console.log('XPath method failed:', xpathError);
+          log.warn('XPath method failed:', xpathError);
         }
 
         await page.waitForTimeout(5000);
       } catch (e) {
-        console.log('Failed to click continue button, but proceeding anyway:', e.message);
+        log.warn('Failed to click continue button, but proceeding anyway:', e.message);
       }
     } else if (await page.$('input[type="email"], input[name="email"]') !== null) {
       await onCheckpoint('email-inline-detected', { page });
-      console.log('Email login detected; entering DOCSEND_EMAIL');
-      await page.waitForSelector('input[type="email"], input[name="email"]', { timeout: 60000 });
-      await page.type('input[type="email"], input[name="email"]', email);
-      console.log('Entered email in form');
+      log.info('Email login detected; entering DOCSEND_EMAIL');
+      stage = 'email';
+      try {
+        await page.waitForSelector('input[type="email"], input[name="email"]', { timeout: 60000 });
+        await page.type('input[type="email"], input[name="email"]', email);
+      } catch (e) {
+        throw new EmailGateFailed(`Could not enter email in form: ${e.message}`, { cause: e });
+      }
+      log.info('Entered email in form');
       await onCheckpoint('email-typed-inline', { page });
 
       if (docsendPassword) {
-        console.log('Password required and email/password form detected; entering password...');
+        log.info('Password required and email/password form detected; entering password...');
         const passwordSelector = 'input[type="password"]';
         try {
           const passwordField = await page.waitForSelector(passwordSelector, { timeout: 5000 });
           if (passwordField) {
             await page.type(passwordSelector, docsendPassword);
-            console.log('Entered password in form');
+            log.info('Entered password in form');
             await onCheckpoint('password-typed-inline', { page });
           } else {
-            console.log('Password field not found on email form');
+            log.info('Password field not found on email form');
           }
         } catch (e) {
-          console.log('Error entering password on email form:', e.message);
+          log.warn('Error entering password on email form:', e.message);
         }
       }
 
@@ -545,15 +1380,15 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
           const cookieBanner = document.querySelector('#onetrust-consent-sdk');
           if (cookieBanner) cookieBanner.remove();
         });
-        console.log('Removed cookie banner if present');
+        log.info('Removed cookie banner if present');
       } catch (error) {
-        console.log('No cookie banner to remove or error removing it:', error);
+        log.warn('No cookie banner to remove or error removing it:', error);
       }
 
       await onCheckpoint('before-continue-inline', { page });
 
       try {
-        console.log('Trying XPath method to find continue button...');
+        log.info('Trying XPath method to find continue button...');
         try {
           const [continueBtn] = await page.$x("//button[contains(normalize-space(.), 'Continue')]");
           if (continueBtn) {
@@ -562,165 +1397,86 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
             } catch (clickErr) {
               // "Node is either not clickable or not an HTMLElement" — covered/offscreen/re-rendered.
               // DOM-level click sidesteps puppeteer's clickable-point check.
-              console.log('Native click failed, falling back to evaluate click:', clickErr.message);
+              log.warn('Native click failed, falling back to evaluate click:', clickErr.message);
               await continueBtn.evaluate(el => el.click());
             }
             await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 60000 });
-            console.log('Email and password submitted inline (XPath method)');
+            log.info('Email and password submitted inline (XPath method)');
             await onCheckpoint('continue-clicked-inline', { page });
           } else {
-            console.log('XPath method failed to find button');
+            log.warn('XPath method failed to find button');
             await onCheckpoint('xpath-continue-not-found-inline', { page });
           }
         } catch (xpathError) {
-          console.log('XPath method failed:', xpathError);
+          log.warn('XPath method failed:', xpathError);
         }
 
         await page.waitForTimeout(5000);
       } catch (e) {
-        console.log('Failed to click continue button, but proceeding anyway:', e.message);
+        log.warn('Failed to click continue button, but proceeding anyway:', e.message);
       }
     } else {
       await onCheckpoint('no-email-form', { page });
     }
 
-    if (docsendPassword) {
-      console.log('Password required; using generic password entry workflow...');
-      const passInputSelectors = [
-        'input[type="password"]',
-        'input[name="passcode"]',
-        'input[name="password"]',
-        'input[name="passCode"]',
-        'input[name="pass"]',
-        'input[placeholder*="Pass"]',
-        'input[placeholder*="pass"]',
-        'input[placeholder*="Password"]',
-        'input[placeholder*="password"]',
-        'input[aria-label*="pass"]',
-        'input[aria-label*="Pass"]',
-        'input[id*="pass"]',
-        'input[id*="Pass"]',
-        'input[class*="pass"]',
-        'input[class*="Pass"]',
-        'input[data-testid*="pass"]',
-        'input[data-testid*="Pass"]'
-      ];
-
-      let inputFrame = page;
-      let passInputHandle = null;
-      let foundSelector = null;
-
-      await page.waitForTimeout(3000);
-
-      for (const selector of passInputSelectors) {
-        try {
-          passInputHandle = await page.waitForSelector(selector, { timeout: 2000 });
-          if (passInputHandle) {
-            foundSelector = selector;
-            console.log(`Found password field in main page with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {}
+    const verificationFrame = await findVerificationFrame(page);
+    if (verificationFrame) {
+      stage = 'verification';
+      log.info('Email verification code gate detected');
+      await onCheckpoint('verification-detected', { page, frame: verificationFrame });
+      if (!requestVerificationCode) {
+        throw new VerificationCodeUnavailable('Document requires an email verification code and no code provider is configured');
       }
-
-      if (!passInputHandle) {
-        console.log('Password field not found in main page, searching frames...');
-        for (const frame of page.frames()) {
-          if (passInputHandle) break;
-          for (const selector of passInputSelectors) {
-            try {
-              passInputHandle = await frame.waitForSelector(selector, { timeout: 2000 });
-              if (passInputHandle) {
-                inputFrame = frame;
-                foundSelector = selector;
-                console.log(`Found password field in frame with selector: ${selector}`);
-                break;
-              }
-            } catch (e) {}
-          }
-        }
+      await onCheckpoint('verification-code-requested', { page, extra: { email } });
+      const code = await requestVerificationCode({ email, url, since: emailStartedAt });
+      if (!code) {
+        await onCheckpoint('verification-code-unavailable', { page });
+        throw new VerificationCodeUnavailable();
       }
+      log.info('Verification code received');
+      await onCheckpoint('verification-code-received', { page });
+      await enterVerificationCode(page, verificationFrame, code, onCheckpoint);
+      log.info('Email verified');
+      await onCheckpoint('verification-accepted', { page });
+    }
 
-      if (!passInputHandle) {
-        console.log('Trying generic input field search...');
-        try {
-          const allInputs = await page.$$('input');
-          for (const input of allInputs) {
-            const inputType = await input.evaluate(el => el.type);
-            const inputName = await input.evaluate(el => el.name);
-            const inputPlaceholder = await input.evaluate(el => el.placeholder);
-            const inputId = await input.evaluate(el => el.id);
-            const inputClass = await input.evaluate(el => el.className);
-
-            console.log(`Found input: type=${inputType}, name=${inputName}, placeholder=${inputPlaceholder}, id=${inputId}, class=${inputClass}`);
-
-            if (inputType === 'password' ||
-                (inputName && inputName.toLowerCase().includes('pass')) ||
-                (inputPlaceholder && inputPlaceholder.toLowerCase().includes('pass')) ||
-                (inputId && inputId.toLowerCase().includes('pass')) ||
-                (inputClass && inputClass.toLowerCase().includes('pass'))) {
-              passInputHandle = input;
-              foundSelector = 'generic search';
-              console.log('Found password field via generic search');
-              break;
-            }
-          }
-        } catch (e) {
-          console.log('Generic input search failed:', e);
-        }
-      }
+    await handleAgreementGate();
 
-      if (!passInputHandle) {
-        await onCheckpoint('password-field-not-found', { page });
-        try {
-          const debugShot = await page.screenshot({ fullPage: true });
-          console.log('Debug screenshot taken, size:', debugShot.length);
-        } catch (e) {
-          console.log('Could not take debug screenshot');
-        }
-        throw new Error('Passcode input field not found after exhaustive search');
-      }
+    // A passcode gate nobody gave a passcode for (the email gate can share
+    // its form, so check before deciding the email step failed)
+    if (!docsendPassword && await isPasscodeGateVisible(page)) {
+      stage = 'passcode';
+      docsendPassword = await askForPasscode({ rejected: false });
+    }
 
-      if (foundSelector === 'generic search') {
-        await passInputHandle.type(docsendPassword);
-      } else {
-        await inputFrame.type(foundSelector, docsendPassword);
-      }
-      console.log('Passcode typed into field');
-      await onCheckpoint('passcode-typed', { page });
-
-      const continueXPath = "//button[contains(normalize-space(.), 'Continue')]";
-      let clicked = false;
-      const [btnMain] = await page.$x(continueXPath);
-      if (btnMain) {
-        await btnMain.click();
-        clicked = true;
-      } else {
-        for (const frame of page.frames()) {
-          const [btnFrame] = await frame.$x(continueXPath);
-          if (btnFrame) {
-            await btnFrame.click();
-            clicked = true;
-            break;
-          }
-        }
-      }
-      if (!clicked) {
-        console.log('Continue button not found after passcode entry');
-        await onCheckpoint('passcode-continue-not-found', { page });
-      } else {
-        await page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 60000 });
-        console.log('Passcode submitted');
-        await onCheckpoint('passcode-submitted', { page });
+    // Every continue strategy above is best-effort; if the email field is
+    // still showing, none of them got us through.
+    if (stage === 'email' && !docsendPassword && await isEmailGateVisible(page)) {
+      throw new EmailGateFailed('Email gate still showing after submitting email');
+    }
+
+    if (docsendPassword) {
+      stage = 'passcode';
+      for (let attempt = 1; ; attempt++) {
+        await enterPasscode(page, docsendPassword, onCheckpoint);
+        if (!(await isPasscodeRejected(page))) break;
+        await onCheckpoint('passcode-rejected', { page, extra: { attempt } });
+        // With requestPasscode, any rejected passcode (from the message or a
+        // previous answer) is asked for again, up to passcodeAttempts tries
+        if (!requestPasscode || attempt >= passcodeAttempts) throw new PasscodeRejected();
+        docsendPassword = await askForPasscode({ rejected: true });
       }
     }
 
-    console.log('Hiding cookie banners and overlays...');
-    console.log('Waiting for page to stabilize...');
+    await handleAgreementGate();
+
+    stage = 'consent';
+    log.info('Hiding cookie banners and overlays...');
+    log.info('Waiting for page to stabilize...');
     await page.waitForTimeout(1500);
     await onCheckpoint('before-ccpa', { page });
 
-    console.log('Looking for CCPA iframe...');
+    log.info('Looking for CCPA iframe...');
     const ccpaIframeSelectors = [
       '#ccpa-iframe',
       '[data-testid="ccpa-iframe"]',
@@ -738,7 +1494,7 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
       try {
         const iframeElement = await page.$(selector);
         if (!iframeElement) continue;
-        console.log(`Found CCPA iframe with selector: ${selector}`);
+        log.info(`Found CCPA iframe with selector: ${selector}`);
         const frame = await iframeElement.contentFrame();
         if (!frame) continue;
         const acceptButton = await frame.$('#accept_all_cookies_button');
@@ -757,31 +1513,88 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
           } catch (clickError) {
             await acceptButton.evaluate(el => el.click());
           }
-          console.log('Clicked CCPA accept button');
+          log.info('Clicked CCPA accept button');
           cookieBannerFound = true;
           break;
         }
       } catch (error) {
-        console.log(`Error with iframe selector ${selector}:`, error.message);
+        log.warn(`Error with iframe selector ${selector}:`, error.message);
       }
     }
 
     if (!cookieBannerFound) {
-      console.log('No CCPA iframe found; banner elements are hidden during capture anyway');
+      log.info('No CCPA iframe found; banner elements are hidden during capture anyway');
     }
 
     await page.waitForTimeout(500);
     await onCheckpoint('after-ccpa', { page, extra: { cookieBannerFound } });
 
-    console.log('Proceeding to capture document pages');
+    stage = 'capture';
+    // A Space (data room) lists documents instead of showing a viewer; hand
+    // the list back (or capture each document) rather than screenshotting the listing.
+    const spaceDocuments = await listSpaceDocuments(page);
+    if (spaceDocuments) {
+      const { title = null, owner = null } = await readDocumentMetadata(page).catch(() => ({}));
+      await onCheckpoint('space-detected', { page, extra: { documents: spaceDocuments.length } });
+      const space = { title, owner, url, documents: spaceDocuments };
+      if (!spaceCapture) return { space };
+      // Carry on in this session: opening the Space again would repeat its
+      // gates and ask the requester for the passcode a second time
+      await page.close().catch(err => log.warn('Error closing page:', err.message));
+      page = null;
+      return { space: await captureSpaceDocuments(context || browser.defaultBrowserContext(), space, { ...opts, ...spaceCapture }) };
+    }
+
+    const metadata = {
+      title: null,
+      owner: null,
+      pageCount: null,
+      pageCountSource: null,
+      ...(await readDocumentMetadata(page).catch((metaError) => {
+        log.warn('Could not read document metadata:', metaError.message);
+        return {};
+      })),
+      sourceUrl: url,
+      capturedAt: new Date()
+    };
+    await onCheckpoint('metadata', { page, extra: metadata });
+
+    log.info('Proceeding to capture document pages');
     try {
-      const screenshots = await capturePages(page, { onCheckpoint });
-      return screenshots;
+      const { screenshots, pages, partial, missingPages, completeness } = await capturePages(page, {
+        onCheckpoint,
+        retries: pageRetries,
+        // A count of the page images can't reveal missing ones; only the
+        // viewer's own counter can
+        totalPages: metadata.pageCountSource === 'counter' ? metadata.pageCount : null
+      });
+      if (partial) {
+        await onCheckpoint('capture-partial', { page, extra: { captured: screenshots.length, missingPages } });
+      }
+      // Pages that still looked blank or black after every capture strategy
+      const suspectPages = pages
+        .map((p, i) => (p.suspect ? { page: Number(p.label) || i + 1, reason: p.suspect } : null))
+        .filter(Boolean);
+      if (suspectPages.length) {
+        await onCheckpoint('capture-suspect-pages', { page, extra: { suspectPages } });
+      }
+      return {
+        screenshots,
+        metadata: {
+          ...metadata,
+          pageCount: metadata.pageCount || screenshots.length + missingPages.length,
+          pages,
+          partial,
+          missingPages,
+          completeness,
+          suspectPages
+        }
+      };
     } catch (captureError) {
-      console.error('Error in capturePages:', captureError);
+      log.error('Error in capturePages:', captureError);
       await onCheckpoint('capture-error', { page, extra: { message: captureError.message } });
 
-      console.log('Attempting fallback screenshot capture...');
+      log.info('Attempting fallback screenshot capture...');
       try {
         await page.evaluate(() => {
           const selectors = [
@@ -795,56 +1608,324 @@ async function convertDocSendToPDF(url, messageText, opts = {}) {
 
         await dismissCookieBanner(page);
 
-        console.log('Taking fallback screenshot');
+        log.info('Taking fallback screenshot');
         const fallbackShot = await page.screenshot({ fullPage: true, type: 'jpeg', quality: 80 });
-        return [fallbackShot];
+        await onCheckpoint('capture-fallback-page', { page, extra: { strategy: 'full-page' } });
+        return {
+          screenshots: [fallbackShot],
+          metadata: {
+            ...metadata,
+            // One full-page shot can't be checked against the page count
+            completeness: completenessReport([{ label: null }], metadata.pageCount)
+          }
+        };
       } catch (fallbackError) {
-        console.error('Fallback screenshot also failed:', fallbackError);
-        throw new Error('Failed to capture document content');
+        log.error('Fallback screenshot also failed:', fallbackError);
+        throw new CaptureIncomplete('Failed to capture document content', { cause: fallbackError });
       }
     }
   } catch (error) {
-    console.error('Error capturing document:', error);
+    log.error('Error capturing document:', error);
     if (page) {
       try {
         await onCheckpoint('fatal-error', { page, extra: { message: error.message, stack: error.stack } });
       } catch (_) {}
     }
     if (keepOpenOnError && browser) {
-      console.log('[keep-open] Leaving browser open for inspection. Press Ctrl+C to exit.');
+      log.info('[keep-open] Leaving browser open for inspection. Press Ctrl+C to exit.');
       await new Promise(() => {});
     }
-    throw error;
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(error.message, { stage, cause: error });
   } finally {
-    if (browser && !keepOpenOnError) {
+    if (sharedContext) {
+      if (page) await page.close().catch(err => log.warn('Error closing page:', err.message));
+    } else if (lease) {
+      // A crashed tab can leave the renderer wedged; replace that browser.
+      await lease.release({ recycle: pageCrashed });
+    } else if (context) {
+      await context.close().catch(err => log.warn('Error closing browser context:', err.message));
+    } else if (browser && !keepOpenOnError) {
       await browser.close();
     }
   }
 }
 
-async function createPDFFromScreenshots(screenshots) {
-  console.log('Creating PDF from screenshots...');
+// DocSend's label for each PDF page. A page whose number wasn't reported
+// continues from the previous one.
+function docsendPageLabels(pages, count) {
+  const labels = [];
+  for (let i = 0; i < count; i++) {
+    const label = pages[i] && pages[i].label;
+    if (label !== null && label !== undefined && label !== '') {
+      labels.push(Number.isInteger(Number(label)) ? Number(label) : String(label));
+    } else {
+      const prev = labels[i - 1];
+      labels.push(typeof prev === 'number' ? prev + 1 : i + 1);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Add an outline with one bookmark per page, using the slide title where the
+ * viewer exposed one and "Page N" (DocSend's numbering) otherwise.
+ */
+function addPageOutline(pdfDoc, pages) {
+  const { context } = pdfDoc;
+  const pdfPages = pdfDoc.getPages();
+  if (pdfPages.length === 0) return;
+  const labels = docsendPageLabels(pages, pdfPages.length);
+  const outlineRef = context.nextRef();
+  const itemRefs = pdfPages.map(() => context.nextRef());
+
+  pdfPages.forEach((pdfPage, i) => {
+    const title = (pages[i] && pages[i].title) || `Page ${labels[i]}`;
+    context.assign(itemRefs[i], context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlineRef,
+      Dest: [pdfPage.ref, 'Fit'],
+      ...(i > 0 ? { Prev: itemRefs[i - 1] } : {}),
+      ...(i < itemRefs.length - 1 ? { Next: itemRefs[i + 1] } : {})
+    }));
+  });
+
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: itemRefs.length
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Add page labels matching DocSend's own page numbers, so "slide 14" in a
+ * conversation is page 14 in the reader even if a page was skipped. Runs of
+ * consecutive numbers share one label range; non-numeric labels are used
+ * verbatim.
+ */
+function addPageLabels(pdfDoc, pages) {
+  const nums = [];
+  let expected = null;
+  docsendPageLabels(pages, pdfDoc.getPageCount()).forEach((label, i) => {
+    if (typeof label === 'number' && label > 0) {
+      if (label !== expected) nums.push(i, { S: 'D', St: label });
+      expected = label + 1;
+    } else {
+      nums.push(i, { P: PDFHexString.fromText(String(label)) });
+      expected = null;
+    }
+  });
+  pdfDoc.catalog.set(PDFName.of('PageLabels'), pdfDoc.context.obj({ Nums: nums }));
+}
+
+function isPngBuffer(buf) {
+  return buf.length >= 8 &&
+    buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47;
+}
+
+/**
+ * Pack the page images into a ZIP as page-01.jpg, page-02.png, ... in their
+ * original encoding (no re-compression), numbered in capture order.
+ */
+async function createZipFromScreenshots(screenshots) {
+  log.info('Creating ZIP of page images...');
+  const width = Math.max(2, String(screenshots.length).length);
+  return createZip(screenshots.map((buf, i) => {
+    if (!buf || !Buffer.isBuffer(buf) || buf.length === 0) {
+      throw new PdfBuildFailed(`Invalid screenshot buffer for page ${i + 1}`);
+    }
+    const ext = isPngBuffer(buf) ? 'png' : 'jpg';
+    return { name: `page-${String(i + 1).padStart(width, '0')}.${ext}`, data: buf };
+  }));
+}
+
+// ZIP of [{ name, data }] entries. Images and PDFs are already compressed;
+// storing them keeps this fast.
+async function createZip(entries) {
+  const zip = new JSZip();
+  entries.forEach(({ name, data }) => zip.file(name, data));
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  log.info('ZIP created successfully, size:', zipBuffer.length, 'bytes');
+  return zipBuffer;
+}
+
+// Recompression steps, mildest first, for a PDF over its size target. Each
+// step starts again from the original captures. `factor` is roughly how much
+// a step shrinks a JPEG capture (area times quality), used to skip straight
+// to the first step likely to fit.
+const PDF_SIZE_STEPS = [
+  { scale: 1, quality: 85, factor: 1 },
+  { scale: 0.85, quality: 75, factor: 0.6 },
+  { scale: 0.7, quality: 65, factor: 0.33 },
+  { scale: 0.5, quality: 55, factor: 0.13 }
+];
+
+// PNG pages (CDN fetches) shrink to about this much as JPEGs, on top of the
+// step's own factor
+const PNG_TO_JPEG_FACTOR = 0.25;
+
+// Re-encode one page image as a JPEG at the given scale and quality. Keeps
+// the original when re-encoding doesn't make it smaller or fails.
+async function recompressImage(buf, { scale, quality }) {
+  try {
+    const image = await Jimp.read(buf);
+    if (scale < 1) image.scale(scale);
+    // JPEG has no alpha channel; flatten transparent PNGs onto white
+    image.background(0xFFFFFFFF).quality(quality);
+    const out = await image.getBufferAsync(Jimp.MIME_JPEG);
+    return out.length < buf.length ? out : buf;
+  } catch (error) {
+    log.warn('Could not recompress page image, keeping original:', error.message);
+    return buf;
+  }
+}
+
+/**
+ * Build the PDF and, when it is over `maxBytes`, rebuild it from smaller and
+ * lower-quality page images until it fits or the steps run out. Returns the
+ * last PDF built and the images it used.
+ *
+ * Jimp decodes and encodes in JavaScript on the main thread (over a second of
+ * CPU per 1080p page), so as little of it as possible is done:
+ * - pages already under an even share of `maxBytes` are kept as they are
+ * - the first step tried is the mildest one estimated to bring the rest
+ *   under what is left of the budget, not the first in the list
+ * - the event loop gets a turn between pages, so Slack requests and health
+ *   probes are still answered while a deck is recompressed
+ */
+async function fitPdfToSize(screenshots, metadata, maxBytes) {
+  let images = screenshots;
+  let pdf = await buildPdf(images, metadata);
+  if (!maxBytes || pdf.length <= maxBytes) return { pdf, images };
+
+  const pageBudget = maxBytes / screenshots.length;
+  let large = screenshots.map((buf, i) => i).filter(i => screenshots[i].length > pageBudget);
+  if (!large.length) large = screenshots.map((buf, i) => i);
+  // What the PDF spends on anything besides the large pages' images
+  const largeBytes = large.reduce((sum, i) => sum + screenshots[i].length, 0);
+  const fixedBytes = pdf.length - largeBytes;
+  const estimate = step => fixedBytes + large.reduce((sum, i) => {
+    const factor = step.factor * (isPngBuffer(screenshots[i]) ? PNG_TO_JPEG_FACTOR : 1);
+    return sum + screenshots[i].length * factor;
+  }, 0);
+  const first = PDF_SIZE_STEPS.findIndex(step => estimate(step) <= maxBytes);
+
+  for (const step of PDF_SIZE_STEPS.slice(first === -1 ? PDF_SIZE_STEPS.length - 1 : first)) {
+    log.info(`PDF is ${pdf.length} bytes, over the ${maxBytes} byte limit; recompressing ${large.length} of ${screenshots.length} pages at ${Math.round(step.scale * 100)}% scale, JPEG quality ${step.quality}...`);
+    images = screenshots.slice();
+    for (const i of large) {
+      images[i] = await recompressImage(screenshots[i], step);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    pdf = await buildPdf(images, metadata);
+    if (pdf.length <= maxBytes) break;
+  }
+  return { pdf, images };
+}
+
+/**
+ * Build a PDF with one page per screenshot. `metadata` (as returned by
+ * convertDocSendToPDF) fills in the document info: title, author (the
+ * DocSend owner), subject with the source URL, and the capture time as
+ * creation date. `metadata.pages` ([{ label, title }] per screenshot) adds
+ * bookmarks and page labels.
+ *
+ * With `maxBytes`, page images are downscaled and recompressed step by step
+ * until the PDF fits; if even the smallest step doesn't, the smallest PDF is
+ * returned (see createPDFPartsFromScreenshots for splitting).
+ */
+async function createPDFFromScreenshots(screenshots, metadata = {}, { maxBytes } = {}) {
+  const { pdf } = await fitPdfToSize(screenshots, metadata, maxBytes);
+  return pdf;
+}
+
+/**
+ * Like createPDFFromScreenshots with `maxBytes`, but when recompression
+ * isn't enough the pages are split across several PDFs, each under the
+ * limit where possible. Returns [{ pdf, part, parts, pageLabels }], where
+ * pageLabels are DocSend's page numbers for the pages in that part (see
+ * docsendPageLabels, so pages that weren't captured are skipped over); a
+ * single entry when everything fits.
+ *
+ * Each part keeps DocSend's page numbers and slide titles, and its title
+ * says which part it is.
+ */
+async function createPDFPartsFromScreenshots(screenshots, metadata = {}, { maxBytes } = {}) {
+  const { pdf, images } = await fitPdfToSize(screenshots, metadata, maxBytes);
+  const labels = docsendPageLabels(metadata.pages || [], images.length);
+  if (!maxBytes || pdf.length <= maxBytes || images.length < 2) {
+    return [{ pdf, part: 1, parts: 1, pageLabels: labels }];
+  }
+
+  const partMetadata = (indices, title) => ({
+    ...metadata,
+    title,
+    pageCount: indices.length,
+    pages: indices.map(i => ({
+      title: (metadata.pages && metadata.pages[i] && metadata.pages[i].title) || null,
+      label: labels[i]
+    }))
+  });
+  const build = indices => buildPdf(indices.map(i => images[i]), partMetadata(indices, metadata.title));
+
+  // Halve any group that is still too big; a single page over the limit
+  // becomes its own part.
+  async function split(indices) {
+    if (indices.length === 1) return [indices];
+    const size = (await build(indices)).length;
+    if (size <= maxBytes) return [indices];
+    const mid = Math.ceil(indices.length / 2);
+    return [...await split(indices.slice(0, mid)), ...await split(indices.slice(mid))];
+  }
+  const groups = await split(images.map((_, i) => i));
+  log.info(`PDF still over ${maxBytes} bytes after recompression; splitting into ${groups.length} parts`);
+
+  const parts = [];
+  for (const [n, indices] of groups.entries()) {
+    const title = `${metadata.title || 'DocSend document'} (part ${n + 1} of ${groups.length})`;
+    const partPdf = await buildPdf(indices.map(i => images[i]), partMetadata(indices, title));
+    if (partPdf.length > maxBytes) {
+      log.info(`Part ${n + 1} is ${partPdf.length} bytes, still over the limit (single oversized page)`);
+    }
+    parts.push({
+      pdf: partPdf,
+      part: n + 1,
+      parts: groups.length,
+      pageLabels: indices.map(i => labels[i])
+    });
+  }
+  return parts;
+}
+
+async function buildPdf(screenshots, metadata) {
+  log.info('Creating PDF from screenshots...');
   const pdfDoc = await PDFDocument.create();
   pdfDoc.setProducer('DocSend Slack Bot');
   pdfDoc.setCreator('DocSend Slack Bot');
+  if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.owner) pdfDoc.setAuthor(metadata.owner);
+  if (metadata.sourceUrl) pdfDoc.setSubject(`DocSend document: ${metadata.sourceUrl}`);
+  if (metadata.capturedAt) pdfDoc.setCreationDate(new Date(metadata.capturedAt));
 
   for (let i = 0; i < screenshots.length; i++) {
-    console.log(`Processing screenshot ${i + 1} of ${screenshots.length}...`);
+    log.debug(`Processing screenshot ${i + 1} of ${screenshots.length}...`);
     if (!screenshots[i] || !Buffer.isBuffer(screenshots[i]) || screenshots[i].length === 0) {
-      throw new Error(`Invalid screenshot buffer for page ${i + 1}`);
+      throw new PdfBuildFailed(`Invalid screenshot buffer for page ${i + 1}`);
     }
-    console.log(`Screenshot ${i + 1} buffer size: ${screenshots[i].length} bytes`);
+    log.debug(`Screenshot ${i + 1} buffer size: ${screenshots[i].length} bytes`);
 
     try {
       // Detect format by magic bytes — screenshots may be JPEG (puppeteer) or
       // PNG (CDN-fetched image) depending on the capture path taken.
       const buf = screenshots[i];
-      const isPng = buf.length >= 8 &&
-        buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47;
+      const isPng = isPngBuffer(buf);
       const img = isPng
         ? await pdfDoc.embedPng(buf)
         : await pdfDoc.embedJpg(buf);
-      console.log(`Successfully loaded ${isPng ? 'PNG' : 'JPEG'} image ${i + 1}, dimensions: ${img.width}x${img.height}`);
+      log.debug(`Successfully loaded ${isPng ? 'PNG' : 'JPEG'} image ${i + 1}, dimensions: ${img.width}x${img.height}`);
       const page = pdfDoc.addPage([img.width, img.height]);
       page.drawImage(img, {
         x: 0,
@@ -852,21 +1933,26 @@ async function createPDFFromScreenshots(screenshots) {
         width: img.width,
         height: img.height,
       });
-      console.log(`Successfully added page ${i + 1} as ${isPng ? 'PNG' : 'JPEG'}`);
+      log.debug(`Successfully added page ${i + 1} as ${isPng ? 'PNG' : 'JPEG'}`);
     } catch (error) {
-      console.error(`Error processing screenshot ${i + 1}:`, error);
-      throw new Error(`Failed to process screenshot ${i + 1}: ${error.message}`);
+      log.error(`Error processing screenshot ${i + 1}:`, error);
+      throw new PdfBuildFailed(`Failed to process screenshot ${i + 1}: ${error.message}`, { cause: error });
     }
   }
 
-  console.log('Saving PDF...');
+  if (Array.isArray(metadata.pages)) {
+    addPageOutline(pdfDoc, metadata.pages);
+    addPageLabels(pdfDoc, metadata.pages);
+  }
+
+  log.info('Saving PDF...');
   try {
     const pdfBytes = await pdfDoc.save({
       useObjectStreams: true,
       addDefaultPage: false
     });
     const pdfBuffer = Buffer.from(pdfBytes);
-    console.log('PDF created successfully, size:', pdfBuffer.length, 'bytes');
+    log.info('PDF created successfully, size:', pdfBuffer.length, 'bytes');
 
     if (!pdfBuffer || pdfBuffer.length === 0) {
       throw new Error('Generated PDF buffer is invalid or empty');
@@ -877,17 +1963,21 @@ async function createPDFFromScreenshots(screenshots) {
 
     return pdfBuffer;
   } catch (error) {
-    console.error('Error saving PDF:', error);
-    throw new Error(`Failed to save PDF: ${error.message}`);
+    log.error('Error saving PDF:', error);
+    throw new PdfBuildFailed(`Failed to save PDF: ${error.message}`, { cause: error });
   }
 }
 
 module.exports = {
   convertDocSendToPDF,
   createPDFFromScreenshots,
+  createPDFPartsFromScreenshots,
+  createZipFromScreenshots,
+  createZip,
   dismissCookieBanner,
   capturePages,
   captureVerticalPages,
   captureSlideImage,
+  readDocumentMetadata,
   DEFAULT_LAUNCH_ARGS
 };
@@ -0,0 +1,109 @@
+/**
+ * Typed conversion failures. Each carries a `code` (stable, used by app.js to
+ * pick the message shown in Slack) and the `stage` of the pipeline that
+ * failed. Messages are for logs only; they are never shown to users.
+ */
+class ConversionError extends Error {
+  constructor(message, { code = 'UNEXPECTED', stage = 'unknown', cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.stage = stage;
+    if (cause) this.cause = cause;
+  }
+}
+
+class DocumentNotFound extends ConversionError {
+  constructor(message = 'DocSend document not found or no longer available', opts = {}) {
+    super(message, { code: 'DOCUMENT_NOT_FOUND', stage: 'load', ...opts });
+  }
+}
+
+class EmailGateFailed extends ConversionError {
+  constructor(message = 'Could not get past the DocSend email gate', opts = {}) {
+    super(message, { code: 'EMAIL_GATE_FAILED', stage: 'email', ...opts });
+  }
+}
+
+class PasscodeFieldNotFound extends ConversionError {
+  constructor(message = 'Passcode input field not found', opts = {}) {
+    super(message, { code: 'PASSCODE_FIELD_NOT_FOUND', stage: 'passcode', ...opts });
+  }
+}
+
+class PasscodeRejected extends ConversionError {
+  constructor(message = 'DocSend rejected the passcode', opts = {}) {
+    super(message, { code: 'PASSCODE_REJECTED', stage: 'passcode', ...opts });
+  }
+}
+
+class PasscodeRequired extends ConversionError {
+  constructor(message = 'Document is passcode-protected and no passcode was supplied', opts = {}) {
+    super(message, { code: 'PASSCODE_REQUIRED', stage: 'passcode', ...opts });
+  }
+}
+
+class VerificationCodeUnavailable extends ConversionError {
+  constructor(message = 'No email verification code was available', opts = {}) {
+    super(message, { code: 'VERIFICATION_CODE_UNAVAILABLE', stage: 'verification', ...opts });
+  }
+}
+
+class VerificationFailed extends ConversionError {
+  constructor(message = 'Could not get past the DocSend email verification', opts = {}) {
+    super(message, { code: 'VERIFICATION_FAILED', stage: 'verification', ...opts });
+  }
+}
+
+class AgreementRequired extends ConversionError {
+  constructor(message = 'Document requires accepting an agreement (NDA)', opts = {}) {
+    super(message, { code: 'AGREEMENT_REQUIRED', stage: 'agreement', ...opts });
+  }
+}
+
+class AgreementFailed extends ConversionError {
+  constructor(message = 'Could not accept the document agreement (NDA)', opts = {}) {
+    super(message, { code: 'AGREEMENT_FAILED', stage: 'agreement', ...opts });
+  }
+}
+
+class CaptureIncomplete extends ConversionError {
+  constructor(message = 'Failed to capture document content', opts = {}) {
+    super(message, { code: 'CAPTURE_INCOMPLETE', stage: 'capture', ...opts });
+  }
+}
+
+class PdfBuildFailed extends ConversionError {
+  constructor(message = 'Failed to build PDF', opts = {}) {
+    super(message, { code: 'PDF_BUILD_FAILED', stage: 'pdf', ...opts });
+  }
+}
+
+class UploadFailed extends ConversionError {
+  constructor(message = 'Failed to upload to Slack', opts = {}) {
+    super(message, { code: 'UPLOAD_FAILED', stage: 'upload', ...opts });
+  }
+}
+
+class QueueFull extends ConversionError {
+  constructor(message = 'Conversion queue is full', opts = {}) {
+    super(message, { code: 'QUEUE_FULL', stage: 'queue', ...opts });
+  }
+}
+
+module.exports = {
+  ConversionError,
+  DocumentNotFound,
+  EmailGateFailed,
+  PasscodeFieldNotFound,
+  PasscodeRejected,
+  PasscodeRequired,
+  VerificationCodeUnavailable,
+  VerificationFailed,
+  AgreementRequired,
+  AgreementFailed,
+  CaptureIncomplete,
+  PdfBuildFailed,
+  UploadFailed,
+  QueueFull
+};
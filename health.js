@@ -0,0 +1,140 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('health');
+
+/**
+ * Liveness and readiness for GET /healthz and GET /readyz.
+ *
+ * Liveness only says the process is up and serving HTTP; it is what Render
+ * restarts on. Readiness says the bot can actually convert a deck right now,
+ * and fails on things a restart doesn't fix (a backlog, a Slack outage), so
+ * it is for routing and monitoring only:
+ *
+ * - config:   the required env vars are set
+ * - chromium: every pool browser is connected and answers
+ * - slack:    auth.test succeeds with the bot token
+ * - queue:    the conversion backlog is below `maxQueued`
+ *
+ * The Chromium check probes the pool's own browsers (busy ones included)
+ * without leasing them, so it never adds to the pool's memory, never counts
+ * toward a browser's job limit and never waits behind queued conversions. A
+ * passing Chromium check is reused for `chromiumTtlMs` and a passing auth.test
+ * for `slackTtlMs`; failures are retried on the next probe. Each check
+ * reports its status and how long it took.
+ */
+const REQUIRED_ENV = ['SLACK_BOT_TOKEN', 'SLACK_SIGNING_SECRET', 'DOCSEND_EMAIL', 'PORT'];
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run `fn` and describe the outcome: { status, durationMs, ...detail } or
+// { status: 'fail', durationMs, error }
+async function runCheck(fn) {
+  const started = Date.now();
+  try {
+    const detail = await fn();
+    return { status: 'pass', durationMs: Date.now() - started, ...(detail || {}) };
+  } catch (error) {
+    return { status: 'fail', durationMs: Date.now() - started, error: error.message };
+  }
+}
+
+// Reuse a passing check for `ttlMs`. Callers arriving while it runs share
+// the same attempt, so a burst of probes runs it once. A failure is returned
+// to those callers but not kept, so one transient error doesn't stick.
+function cached(fn, ttlMs) {
+  let last = null;
+  return async () => {
+    if (!last || Date.now() - last.checkedAt > ttlMs) {
+      const attempt = { checkedAt: Date.now(), result: runCheck(fn), fresh: true };
+      last = attempt;
+      const result = await attempt.result;
+      attempt.fresh = false;
+      if (result.status === 'fail' && last === attempt) last = null;
+      return result;
+    }
+    const result = await last.result;
+    return last.fresh ? result : { ...result, cached: true, checkedAt: new Date(last.checkedAt).toISOString() };
+  };
+}
+
+function missingEnv(env = process.env) {
+  return REQUIRED_ENV.filter(name => !env[name]);
+}
+
+function createHealthChecks({
+  client,
+  queue,
+  pool,
+  maxQueued = queue.stats().maxQueued,
+  env = process.env,
+  chromiumTtlMs = 10 * 60 * 1000,
+  slackTtlMs = 60 * 1000,
+  slackTimeoutMs = 10 * 1000,
+  chromiumTimeoutMs = 60 * 1000
+}) {
+  const startedAt = Date.now();
+
+  const checks = {
+    config: () => runCheck(async () => {
+      const missing = missingEnv(env);
+      if (missing.length) throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    }),
+    chromium: cached(async () => {
+      // Every browser was recycled and none has been needed since
+      if (pool.stats().browsers === 0) await withTimeout(pool.warm(), chromiumTimeoutMs, 'Browser launch');
+      const browsers = await withTimeout(pool.probe(), chromiumTimeoutMs, 'Browser probe');
+      if (!browsers.length) throw new Error('No browsers running');
+      return {
+        version: browsers[0].version,
+        browsers: browsers.length,
+        busy: browsers.filter(browser => browser.busy).length
+      };
+    }, chromiumTtlMs),
+    slack: cached(async () => {
+      const auth = await withTimeout(client.auth.test(), slackTimeoutMs, 'auth.test');
+      return { team: auth.team, botUserId: auth.user_id };
+    }, slackTtlMs),
+    queue: () => runCheck(async () => {
+      const { queued, running } = queue.stats();
+      if (queued >= maxQueued) throw new Error(`${queued} conversions waiting (limit ${maxQueued})`);
+      return { queued, running, maxQueued };
+    })
+  };
+
+  // Last status per check, so only changes are logged and not every probe
+  const previous = {};
+
+  async function readiness() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => checks[name]()));
+    const report = {};
+    names.forEach((name, i) => {
+      const result = results[i];
+      if (result.status === 'fail' && previous[name] !== 'fail') {
+        log.warn(`Readiness check ${name} failed:`, result.error);
+      } else if (result.status === 'pass' && previous[name] === 'fail') {
+        log.info(`Readiness check ${name} passing again`);
+      }
+      previous[name] = result.status;
+      report[name] = result;
+    });
+    return {
+      status: results.every(result => result.status === 'pass') ? 'pass' : 'fail',
+      checks: report
+    };
+  }
+
+  function liveness() {
+    return { status: 'pass', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) };
+  }
+
+  return { liveness, readiness };
+}
+
+module.exports = { createHealthChecks, missingEnv };
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createJsonFileWriter } = require('./jsonfile');
+
+const log = createLogger('identities');
+
+/**
+ * Which email each Slack user views DocSend documents as, so senders'
+ * analytics show the real requester and email-restricted links let them in.
+ * Users set their own with `/docsend identity you@fund.com`. Once an admin
+ * turns on profile emails, users without one fall back to the email on their
+ * Slack profile (looked up with `lookupProfileEmail` and remembered for
+ * `profileTtlMs`).
+ *
+ * Stored as one JSON file: { profileEmails: false, users: { <user ID>: { email, updatedAt } } }.
+ */
+function createIdentityStore({
+  file = path.join(__dirname, 'data', 'identities.json'),
+  lookupProfileEmail = async () => null,
+  profileTtlMs = 60 * 60 * 1000
+} = {}) {
+  let state = { profileEmails: false, users: {} };
+  try {
+    state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    log.info(`Loaded ${Object.keys(state.users).length} identities from ${file}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') log.warn(`Could not load ${file}:`, error.message);
+  }
+
+  // user ID -> { email, expiresAt }
+  const profiles = new Map();
+
+  const writer = createJsonFileWriter(file);
+  const persist = () => writer.write(state);
+
+  async function profileEmail(userId) {
+    const known = profiles.get(userId);
+    if (known && known.expiresAt > Date.now()) return known.email;
+    let email = null;
+    try {
+      email = await lookupProfileEmail(userId);
+    } catch (error) {
+      log.warn(`Could not read profile email for ${userId}:`, error.message);
+    }
+    profiles.set(userId, { email, expiresAt: Date.now() + profileTtlMs });
+    return email;
+  }
+
+  /**
+   * The identity to capture as for a Slack user: { email, source } where
+   * source is 'identity' (set by the user) or 'profile', or null when they
+   * have neither and the channel or bot default applies.
+   */
+  async function get(userId) {
+    if (!userId) return null;
+    const own = state.users[userId];
+    if (own) return { email: own.email, source: 'identity' };
+    if (!state.profileEmails) return null;
+    const email = await profileEmail(userId);
+    return email ? { email, source: 'profile' } : null;
+  }
+
+  async function set(userId, email) {
+    state.users[userId] = { email, updatedAt: Date.now() };
+    await persist();
+  }
+
+  async function clear(userId) {
+    delete state.users[userId];
+    await persist();
+  }
+
+  async function setProfileEmails(enabled) {
+    state.profileEmails = enabled;
+    profiles.clear();
+    await persist();
+  }
+
+  function profileEmailsEnabled() {
+    return state.profileEmails;
+  }
+
+  return { get, set, clear, setProfileEmails, profileEmailsEnabled };
+}
+
+module.exports = { createIdentityStore };
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serialized, atomic writes of one JSON file, for the stores under data/.
+ *
+ * `write(data)` waits for the previous write, then writes to a temp file and
+ * renames it over `file`, so a crash mid-write can't leave a truncated store.
+ * It rejects with that write's error; a failed write doesn't hold up the ones
+ * queued after it. Callers keep their state in memory, so the next write
+ * saves everything a failed one missed.
+ */
+function createJsonFileWriter(file, { indent = 2 } = {}) {
+  let writing = Promise.resolve();
+
+  function write(data) {
+    const json = JSON.stringify(data, null, indent);
+    const result = writing.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  return { write };
+}
+
+module.exports = { createJsonFileWriter };
@@ -0,0 +1,119 @@
+/**
+ * DocSend link parsing for everything Slack (and people) hand us: Slack's
+ * `<url>` and `<url|label>` formatting, bare URLs with trailing punctuation,
+ * query strings and fragments, `http://`, upper-case hosts, custom
+ * `*.docsend.com` subdomains and customers' branded domains.
+ *
+ * Each link comes back as { url, docId, kind, passcode }:
+ * - `url` is normalized (https, lower-case host, no query, fragment or
+ *   trailing slash), so the same document always has the same URL
+ * - `docId` identifies the document for caching; Spaces get an `s-` prefix
+ *   so they never share an ID with a document
+ * - `kind` is 'document' or 'space' (a DocSend Space / data room). A custom
+ *   `/v/` link can still turn out to be a Space once it is opened.
+ * - `passcode` is the `pw:` that follows the link, if any
+ *
+ * Recognized paths:
+ *   /view/<id>[/...]            document
+ *   /view/s/<space>             space
+ *   /view/s/<space>/d/<doc>     document inside a space
+ *   /s/<space>                  space (short form, normalized to /view/s/)
+ *   /v/<team>/<name>            custom document link
+ */
+
+const ID = '[A-Za-z0-9_-]+';
+const PATHS = [
+  {
+    pattern: new RegExp(`^/view/s/(${ID})/d/(${ID})$`),
+    parse: ([, space, doc]) => ({ path: `/view/s/${space}/d/${doc}`, docId: doc, kind: 'document' })
+  },
+  {
+    pattern: new RegExp(`^/(?:view/)?s/(${ID})$`),
+    parse: ([, space]) => ({ path: `/view/s/${space}`, docId: `s-${space}`, kind: 'space' })
+  },
+  {
+    pattern: new RegExp(`^/view/(${ID})((?:/${ID})*)$`),
+    parse: ([, id, rest]) => ({ path: `/view/${id}${rest}`, docId: id, kind: 'document' })
+  },
+  {
+    pattern: new RegExp(`^/v/(${ID})(?:/(${ID}))?((?:/${ID})*)$`),
+    parse: ([, team, name, rest]) => ({
+      path: `/v/${team}${name ? `/${name}` : ''}${rest}`,
+      docId: name ? `${team}/${name}` : team,
+      kind: 'document'
+    })
+  }
+];
+
+// Candidate URLs in a message: Slack-formatted `<url|label>` / `<url>`, or bare
+const URL_CANDIDATES = /<(https?:\/\/[^\s|>]+)(?:\|[^>]*)?>|(https?:\/\/[^\s<>]+)/gi;
+
+// Punctuation that ends a sentence rather than a URL
+const TRAILING_PUNCTUATION = /[.,;:!?'")\]}>*]+$/;
+
+const PASSCODE = /pw:(\S+)/i;
+
+function createLinkParser({ customDomains = [] } = {}) {
+  const domains = customDomains.map(domain => domain.trim().toLowerCase()).filter(Boolean);
+
+  function isDocSendHost(host) {
+    return host === 'docsend.com' || host.endsWith('.docsend.com') || domains.includes(host);
+  }
+
+  // Parse one URL; null when it isn't a DocSend document or Space link
+  function parseUrl(raw) {
+    let parsed;
+    try {
+      parsed = new URL(String(raw).replace(/^<|>$/g, '').split('|')[0].replace(TRAILING_PUNCTUATION, ''));
+    } catch (error) {
+      return null;
+    }
+    if (!['https:', 'http:'].includes(parsed.protocol)) return null;
+    const host = parsed.hostname.toLowerCase();
+    if (!isDocSendHost(host)) return null;
+
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    for (const { pattern, parse } of PATHS) {
+      const match = pathname.match(pattern);
+      if (match) {
+        const { path, docId, kind } = parse(match);
+        return { url: `https://${host}${path}`, docId, kind };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Every distinct DocSend link in a message, in order. A `pw:` between a
+   * link and the next one is that link's passcode; when there is only one
+   * link, a `pw:` anywhere in the message applies to it.
+   */
+  function parseMessage(text) {
+    const message = text || '';
+    const matches = [...message.matchAll(URL_CANDIDATES)]
+      .map(match => ({ match, link: parseUrl(match[1] || match[2]) }))
+      .filter(({ link }) => link);
+
+    const links = [];
+    matches.forEach(({ match, link }, i) => {
+      const segmentEnd = i + 1 < matches.length ? matches[i + 1].match.index : message.length;
+      const passcode = message.slice(match.index + match[0].length, segmentEnd).match(PASSCODE)?.[1] || null;
+
+      const existing = links.find(other => other.url === link.url);
+      if (existing) {
+        existing.passcode = existing.passcode || passcode;
+        return;
+      }
+      links.push({ ...link, passcode });
+    });
+
+    if (links.length === 1 && !links[0].passcode) {
+      links[0].passcode = message.match(PASSCODE)?.[1] || null;
+    }
+    return links;
+  }
+
+  return { parseUrl, parseMessage };
+}
+
+module.exports = { createLinkParser };
@@ -0,0 +1,132 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Shared logger. Each line is one JSON object (LOG_FORMAT=text gives a
+ * readable line instead) and lines below LOG_LEVEL (debug, info, warn, error;
+ * default info) are dropped.
+ *
+ * Everything goes through redact() on the way out: Slack tokens, request
+ * signatures, the signature and token parameters of signed URLs, `pw:`
+ * passcodes, fields named like secrets and the local part of email
+ * addresses never reach the logs.
+ *
+ * A conversion runs inside withJob(jobId, fn), and every line logged while it
+ * runs, from any module, carries that job ID. Work that escapes the async
+ * context (Puppeteer event handlers) passes `{ jobId }` itself.
+ *
+ * Loggers take console-style arguments, so `log.info('Captured', n, 'pages',
+ * { docId })` works: strings and numbers make up the message, plain objects
+ * become fields and an Error becomes `error`. Lines are written with
+ * console.log / console.error, which debug.js tees into its trace file.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const jobs = new AsyncLocalStorage();
+
+function newJobId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function withJob(jobId, fn) {
+  return jobs.run({ jobId }, fn);
+}
+
+function currentJobId() {
+  const store = jobs.getStore();
+  return store ? store.jobId : null;
+}
+
+// Field names whose values are secrets. Booleans (`passcode: true`) are kept.
+const SECRET_KEYS = /token|secret|signature|password|passcode|authorization|cookie/i;
+
+const SECRET_PATTERNS = [
+  [/\bxox[a-z]-[A-Za-z0-9-]+/g, '[REDACTED]'],
+  [/\bxapp-[A-Za-z0-9-]+/g, '[REDACTED]'],
+  [/\bv0=[0-9a-f]{64}\b/g, '[REDACTED]'],
+  // Signed URL parameters (CDN page images: Signature, Policy, X-Amz-Signature...)
+  [/([?&][\w.-]*(?:token|secret|signature|sig|policy|credential|key-pair-id|password|passcode)=)[^&#\s"'<>]+/gi, '$1[REDACTED]'],
+  [/\b(pw:)\S+/gi, '$1[REDACTED]'],
+  [/[A-Za-z0-9._%+-]+@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g, '***@$1']
+];
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+}
+
+// A copy of `value` that is safe to log
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.stage ? { stage: value.stage } : {}),
+      stack: redactString(value.stack || ''),
+      ...(value.cause ? { cause: redact(value.cause, seen) } : {})
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SECRET_KEYS.test(key) && item !== null && typeof item !== 'boolean'
+      ? '[REDACTED]'
+      : redact(item, seen);
+  }
+  return out;
+}
+
+function format(entry) {
+  if (process.env.LOG_FORMAT !== 'text') return JSON.stringify(entry);
+  const { time, level, scope, jobId, msg, ...fields } = entry;
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return [time, level.toUpperCase(), scope && `[${scope}]`, jobId && `(${jobId})`, msg, ...extra]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function write(level, scope, args) {
+  const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const words = [];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.error = arg;
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg) && !Buffer.isBuffer(arg)) {
+      Object.assign(fields, arg);
+    } else if (typeof arg === 'string') {
+      words.push(arg);
+    } else {
+      words.push(Array.isArray(arg) ? JSON.stringify(redact(arg)) : String(arg));
+    }
+  }
+
+  const { jobId = currentJobId(), ...rest } = fields;
+  const entry = { time: new Date().toISOString(), level };
+  if (scope) entry.scope = scope;
+  if (jobId) entry.jobId = jobId;
+  entry.msg = redactString(words.join(' '));
+  Object.assign(entry, redact(rest));
+
+  const line = format(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+function createLogger(scope) {
+  return {
+    debug: (...args) => write('debug', scope, args),
+    info: (...args) => write('info', scope, args),
+    warn: (...args) => write('warn', scope, args),
+    error: (...args) => write('error', scope, args)
+  };
+}
+
+module.exports = { createLogger, withJob, newJobId, currentJobId, redact };
@@ -0,0 +1,130 @@
+/**
+ * Prometheus metrics for `GET /metrics`, in the text exposition format.
+ * Counters, gauges and histograms are kept in memory and reset on restart,
+ * which Prometheus' rate() and increase() already expect.
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, lines) {
+    metrics.push({ name, help, type, lines });
+  }
+
+  function counter(name, help) {
+    // label string -> { labels, value }
+    const series = new Map();
+    register(name, help, 'counter', () => [...series.values()].map(({ labels, value }) => `${name}${labelString(labels)} ${value}`));
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelString(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // Read at scrape time: `collect()` returns the current value
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => [`${name} ${collect()}`]);
+  }
+
+  function histogram(name, help, buckets) {
+    const series = new Map();
+    register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelString({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${labelString(labels)} ${sum}`,
+      `${name}_count${labelString(labels)} ${count}`
+    ]));
+    return {
+      observe(value, labels = {}) {
+        const key = labelString(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      },
+      // Resolves to fn's result; the duration is observed in seconds either way
+      async time(fn, labels = {}) {
+        const start = process.hrtime.bigint();
+        try {
+          return await fn();
+        } finally {
+          this.observe(Number(process.hrtime.bigint() - start) / 1e9, labels);
+        }
+      }
+    };
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+const MB = 1024 * 1024;
+
+/**
+ * The bot's metrics. `queue` is the conversion queue, read at scrape time.
+ * `checkpoint(name, extra)` takes convertDocSendToPDF checkpoints and counts
+ * the capture strategy each page was captured with.
+ */
+function createConversionMetrics({ queue }) {
+  const registry = createMetricsRegistry();
+
+  const started = registry.counter('docsend_conversions_started_total', 'Conversions accepted for processing (cache hits excluded)');
+  const succeeded = registry.counter('docsend_conversions_succeeded_total', 'Conversions delivered to Slack, including partial captures');
+  const failed = registry.counter('docsend_conversions_failed_total', 'Failed conversions by pipeline stage and error code');
+  const captureDuration = registry.histogram('docsend_capture_duration_seconds', 'Time spent in the browser capturing a document or Space',
+    [5, 10, 20, 30, 60, 120, 300, 600, 1200]);
+  const documentPages = registry.histogram('docsend_document_pages', 'Pages captured per document',
+    [1, 5, 10, 20, 30, 50, 100, 200]);
+  const pageCaptures = registry.counter('docsend_page_captures_total', 'Page captures by the strategy that produced the image');
+  const pdfBytes = registry.histogram('docsend_pdf_bytes', 'Size of each PDF (or PDF part) built',
+    [0.5 * MB, 1 * MB, 5 * MB, 10 * MB, 25 * MB, 50 * MB, 100 * MB]);
+  const uploadDuration = registry.histogram('slack_upload_duration_seconds', 'Latency of each files.uploadV2 call',
+    [0.25, 0.5, 1, 2, 5, 10, 30, 60]);
+  registry.gauge('docsend_queue_waiting', 'Conversions waiting for a worker', () => queue.stats().queued);
+  registry.gauge('docsend_queue_running', 'Conversions holding a worker slot', () => queue.stats().running);
+  registry.gauge('docsend_queue_awaiting_input', 'Conversions waiting for a passcode or verification code', () => queue.stats().awaitingInput);
+  registry.gauge('docsend_queue_parked', 'Conversions waiting for input that gave up their worker slot', () => queue.stats().parked);
+
+  function checkpoint(name, extra = {}) {
+    if (extra.strategy && /^capture-(vertical-|revisit-|fallback-)?page/.test(name)) {
+      pageCaptures.inc({ strategy: extra.strategy });
+    }
+  }
+
+  return {
+    started,
+    succeeded,
+    failed,
+    captureDuration,
+    documentPages,
+    pdfBytes,
+    uploadDuration,
+    checkpoint,
+    render: registry.render
+  };
+}
+
+module.exports = { createMetricsRegistry, createConversionMetrics };
@@ -0,0 +1,158 @@
+const puppeteer = require('puppeteer');
+const { DEFAULT_LAUNCH_ARGS } = require('./docsend');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pool');
+
+/**
+ * Pool of warm Chromium instances. Launching Chromium is a large share of each
+ * conversion's latency, so browsers are kept running between jobs. Each job
+ * gets its own incognito context, which is thrown away on release, so cookies
+ * and DocSend sessions never carry over from one document to the next.
+ *
+ * A browser serves one job at a time and is recycled after
+ * `maxJobsPerBrowser` jobs, or as soon as it disconnects (crash, OOM kill).
+ *
+ * `size` browsers are kept warm. Up to `maxSize` can run when jobs need them
+ * (jobs parked on a passcode prompt keep theirs while others run); browsers
+ * beyond `size` are closed as soon as they are idle.
+ */
+function createBrowserPool({ size = 1, maxSize = size, maxJobsPerBrowser = 20, launchOptions = {} } = {}) {
+  // { browser, jobs, busy }
+  const slots = [];
+  // Resolvers for acquire() calls waiting on a free browser
+  const waiters = [];
+  let launching = 0;
+  let closed = false;
+
+  // Launched busy when a waiter is about to lease it, so nobody else grabs it
+  async function launch({ busy = false } = {}) {
+    launching++;
+    try {
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: DEFAULT_LAUNCH_ARGS,
+        ...launchOptions
+      });
+      const slot = { browser, jobs: 0, busy };
+      browser.on('disconnected', () => {
+        log.info('Browser disconnected; dropping it from the pool');
+        retire(slot);
+      });
+      slots.push(slot);
+      log.info(`Launched browser (${slots.length}/${maxSize})`);
+      return slot;
+    } finally {
+      launching--;
+    }
+  }
+
+  function retire(slot) {
+    const i = slots.indexOf(slot);
+    if (i === -1) return;
+    slots.splice(i, 1);
+    if (slot.browser.isConnected()) {
+      slot.browser.close().catch(err => log.warn('Error closing browser:', err.message));
+    }
+    // A freed capacity slot may unblock a waiter
+    serveWaiters();
+  }
+
+  async function lease(slot) {
+    slot.busy = true;
+    let context;
+    try {
+      context = await slot.browser.createIncognitoBrowserContext();
+    } catch (err) {
+      slot.busy = false;
+      retire(slot);
+      throw err;
+    }
+    let released = false;
+    return {
+      browser: slot.browser,
+      context,
+      async release({ recycle = false } = {}) {
+        if (released) return;
+        released = true;
+        await context.close().catch(err => log.warn('Error closing context:', err.message));
+        slot.jobs++;
+        slot.busy = false;
+        if (recycle || closed || slot.jobs >= maxJobsPerBrowser || !slot.browser.isConnected()) {
+          log.info(`Recycling browser after ${slot.jobs} job(s)`);
+          retire(slot);
+        } else if (slots.length > size && !waiters.length) {
+          log.info(`Closing extra browser (${slots.length}/${size} warm)`);
+          retire(slot);
+        } else {
+          serveWaiters();
+        }
+      }
+    };
+  }
+
+  function serveWaiters() {
+    while (waiters.length) {
+      const idle = slots.find(s => !s.busy && s.browser.isConnected());
+      if (idle) {
+        const waiter = waiters.shift();
+        lease(idle).then(waiter.resolve, waiter.reject);
+      } else if (slots.length + launching < maxSize) {
+        const waiter = waiters.shift();
+        launch({ busy: true }).then(lease).then(waiter.resolve, waiter.reject);
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Lease a browser with a fresh incognito context. Call `release()` on the
+   * result when done; pass `{ recycle: true }` to replace the browser.
+   */
+  function acquire() {
+    if (closed) return Promise.reject(new Error('Browser pool is closed'));
+    return new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+      serveWaiters();
+    });
+  }
+
+  // Start browsers ahead of the first job so it doesn't pay the cold start
+  async function warm() {
+    while (!closed && slots.length + launching < size) {
+      await launch();
+    }
+    serveWaiters();
+  }
+
+  async function close() {
+    closed = true;
+    waiters.splice(0).forEach(w => w.reject(new Error('Browser pool is closed')));
+    await Promise.all(slots.splice(0).map(s => s.browser.close().catch(() => {})));
+  }
+
+  // Ask every running browser for its version without leasing it (health
+  // checks), so probing never counts toward maxJobsPerBrowser or waits
+  // behind queued jobs. Rejects if any browser has stopped answering.
+  async function probe() {
+    return Promise.all(slots.map(async ({ browser, busy }) => {
+      if (!browser.isConnected()) throw new Error('Browser disconnected');
+      return { version: await browser.version(), busy };
+    }));
+  }
+
+  function stats() {
+    return {
+      size,
+      maxSize,
+      browsers: slots.length,
+      busy: slots.filter(s => s.busy).length,
+      waiting: waiters.length
+    };
+  }
+
+  return { acquire, warm, probe, close, stats };
+}
+
+module.exports = { createBrowserPool };
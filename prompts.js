@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('prompts');
+
+/**
+ * Slack prompts for something a capture can't continue without: the passcode
+ * to a document whose link was posted without `pw:`, or the email
+ * verification code DocSend mailed to the bot's address. The person asked
+ * gets a DM with a button (Slack only opens modals in response to an
+ * interaction) that opens a modal asking for the answer; the capture waits
+ * on the gate until the modal is submitted or the prompt expires.
+ *
+ * Answers only ever travel through the modal submission and back into the
+ * waiting capture. They are never posted, logged or stored.
+ */
+const OPEN_ACTION = 'docsend_prompt_open';
+const MODAL_CALLBACK = 'docsend_prompt';
+
+const KINDS = {
+  passcode: {
+    title: 'DocSend passcode',
+    label: 'Passcode',
+    button: 'Enter passcode',
+    question: ({ document, rejected }) => (rejected
+      ? `DocSend didn't accept that passcode for ${document}. Want to try another?`
+      : `${document} is passcode-protected. Enter the passcode and I'll finish converting it.`)
+  },
+  verification: {
+    title: 'Verification code',
+    label: 'Code',
+    button: 'Enter code',
+    question: ({ document, email }) =>
+      `DocSend emailed a verification code to ${email} for ${document}. Enter it and I'll finish converting the document.`
+  }
+};
+
+function createSlackPrompts({ client, timeoutMs = 10 * 60 * 1000 }) {
+  // id -> { kind, user, channel, ts, document, resolve, timer }
+  const pending = new Map();
+
+  function settle(id, answer, text) {
+    const prompt = pending.get(id);
+    if (!prompt) return;
+    pending.delete(id);
+    clearTimeout(prompt.timer);
+    prompt.resolve(answer);
+    client.chat.update({ channel: prompt.channel, ts: prompt.ts, text, blocks: [] })
+      .catch(error => log.warn('Could not update prompt:', error.message));
+  }
+
+  /**
+   * DM `user` for a `kind` ('passcode' or 'verification') answer about
+   * `document`, a label such as "DocSend document abc123". Never pass the
+   * link itself: the bot reads its own DMs, and a posted link would start a
+   * conversion. Resolves to the answer, or null when the prompt expires
+   * (after `timeout` ms, default the factory's) or can't be sent.
+   */
+  async function ask({ kind = 'passcode', user, document, email, rejected = false, timeout = timeoutMs }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const text = KINDS[kind].question({ document, email, rejected });
+    let message;
+    try {
+      const dm = await client.conversations.open({ users: user });
+      message = await client.chat.postMessage({
+        channel: dm.channel.id,
+        text,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          {
+            type: 'actions',
+            elements: [{
+              type: 'button',
+              action_id: OPEN_ACTION,
+              style: 'primary',
+              text: { type: 'plain_text', text: KINDS[kind].button },
+              value: id
+            }]
+          }
+        ]
+      });
+    } catch (error) {
+      log.warn(`Could not send ${kind} prompt:`, error.message);
+      return null;
+    }
+
+    log.info(`Asked ${user} for a ${kind} (prompt ${id})`);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        log.info(`Prompt ${id} expired`);
+        settle(id, null, `This prompt for ${document} expired. Share the link again to retry.`);
+      }, timeout);
+      pending.set(id, { kind, user, channel: message.channel, ts: message.ts, document, resolve, timer });
+    });
+  }
+
+  /**
+   * Handle an interaction payload from Slack. Returns the response body for
+   * the HTTP acknowledgement (null for an empty 200), or undefined when the
+   * payload isn't one of our prompts.
+   */
+  async function handleInteraction(payload) {
+    if (payload.type === 'block_actions') {
+      const action = (payload.actions || []).find(a => a.action_id === OPEN_ACTION);
+      if (!action) return undefined;
+      const prompt = pending.get(action.value);
+      if (!prompt || prompt.user !== payload.user.id) {
+        await client.chat.postEphemeral({
+          channel: payload.channel.id,
+          user: payload.user.id,
+          text: 'This prompt has expired.'
+        }).catch(error => log.warn('Could not send expiry notice:', error.message));
+        return null;
+      }
+      const kind = KINDS[prompt.kind];
+      await client.views.open({
+        trigger_id: payload.trigger_id,
+        view: {
+          type: 'modal',
+          callback_id: MODAL_CALLBACK,
+          private_metadata: action.value,
+          title: { type: 'plain_text', text: kind.title },
+          submit: { type: 'plain_text', text: 'Continue' },
+          close: { type: 'plain_text', text: 'Cancel' },
+          blocks: [{
+            type: 'input',
+            block_id: 'answer',
+            label: { type: 'plain_text', text: kind.label },
+            hint: { type: 'plain_text', text: prompt.document },
+            element: { type: 'plain_text_input', action_id: 'value' }
+          }]
+        }
+      });
+      return null;
+    }
+
+    if (payload.type === 'view_submission' && payload.view.callback_id === MODAL_CALLBACK) {
+      const id = payload.view.private_metadata;
+      const prompt = pending.get(id);
+      if (!prompt || prompt.user !== payload.user.id) {
+        return { response_action: 'errors', errors: { answer: 'This prompt has expired. Share the link again to retry.' } };
+      }
+      const label = KINDS[prompt.kind].label.toLowerCase();
+      const answer = (payload.view.state.values.answer.value.value || '').trim();
+      if (!answer) {
+        return { response_action: 'errors', errors: { answer: `Enter the ${label}.` } };
+      }
+      log.info(`Answer received for prompt ${id}`);
+      settle(id, answer, `Thanks, trying that ${label} on ${prompt.document} now.`);
+      return null;
+    }
+
+    return undefined;
+  }
+
+  return { ask, handleInteraction };
+}
+
+module.exports = { createSlackPrompts };
@@ -0,0 +1,218 @@
+const { QueueFull } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('queue');
+
+/**
+ * Bounded conversion queue. Every conversion launches Chromium, so running
+ * them all at once is what ran the Render instance out of memory when several
+ * decks were pasted together. Jobs wait here until a worker slot is free.
+ *
+ * Fairness is per channel: waiting jobs are served round-robin across
+ * channels, and no channel may hold more than `perChannel` running slots, so
+ * one busy channel can't starve everyone else.
+ *
+ * A running job that has to wait for a person (a passcode or verification
+ * code asked for by DM) wraps the wait in `whileWaiting`. Up to `maxParked`
+ * such jobs give up their worker slot while they wait, so one ignored DM
+ * doesn't stop every other conversion; they keep their browser, so the pool
+ * needs room for `concurrency + maxParked` browsers. Beyond that limit a
+ * waiting job keeps its slot.
+ */
+function createConversionQueue({ concurrency = 1, perChannel = 1, maxQueued = 20, maxParked = 1 } = {}) {
+  // channel -> waiting jobs (FIFO within a channel)
+  const waiting = new Map();
+  // channel -> running job count
+  const active = new Map();
+  // Round-robin order of channels; a channel moves to the back when served.
+  let rotation = [];
+  let running = 0;
+  let queued = 0;
+  // Jobs waiting for a person, and how many of them gave up their slot
+  let awaitingInput = 0;
+  let parked = 0;
+  let nextId = 1;
+  let pumpScheduled = false;
+
+  // Work out which waiting jobs start now and the order the rest will be
+  // served in, without mutating any state. Used both to dispatch and to
+  // report queue positions.
+  function plan() {
+    const queues = new Map(rotation.map(ch => [ch, waiting.get(ch).slice()]));
+    const activeCount = new Map(active);
+    let order = rotation.slice();
+    let slots = concurrency - running;
+    const starting = [];
+
+    let progressed = true;
+    while (slots > 0 && progressed) {
+      progressed = false;
+      for (const ch of order) {
+        const q = queues.get(ch);
+        if (!q.length || (activeCount.get(ch) || 0) >= perChannel) continue;
+        starting.push(q.shift());
+        activeCount.set(ch, (activeCount.get(ch) || 0) + 1);
+        order = order.filter(c => c !== ch).concat(ch);
+        slots--;
+        progressed = true;
+        break;
+      }
+    }
+
+    // Everything left is served round-robin, one job per channel per round.
+    const pending = [];
+    let remaining = true;
+    while (remaining) {
+      remaining = false;
+      for (const ch of order) {
+        const q = queues.get(ch);
+        if (!q.length) continue;
+        pending.push(q.shift());
+        remaining = true;
+      }
+    }
+
+    return { starting, pending, order };
+  }
+
+  function removeWaiting(job) {
+    const q = waiting.get(job.channel);
+    q.splice(q.indexOf(job), 1);
+    if (q.length === 0) {
+      waiting.delete(job.channel);
+      rotation = rotation.filter(ch => ch !== job.channel);
+    }
+    queued--;
+  }
+
+  function schedulePump() {
+    if (pumpScheduled) return;
+    pumpScheduled = true;
+    // Deferred so callers get their queue position back before the job runs.
+    setImmediate(pump);
+  }
+
+  function pump() {
+    pumpScheduled = false;
+    const { starting, order } = plan();
+    rotation = order.filter(ch => waiting.has(ch));
+    for (const job of starting) {
+      removeWaiting(job);
+      start(job);
+    }
+    reportPositions();
+  }
+
+  // Round-robin lets later jobs from other channels overtake earlier ones, so
+  // positions are re-planned whenever the queue changes and every waiting job
+  // whose place moved is told its new one
+  function reportPositions() {
+    plan().pending.forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      Promise.resolve(job.onPosition(job.position))
+        .catch(error => log.warn(`Could not report position of job ${job.id}:`, error.message, { jobId: job.jobId }));
+    });
+  }
+
+  function takeSlot(job) {
+    running++;
+    active.set(job.channel, (active.get(job.channel) || 0) + 1);
+  }
+
+  function freeSlot(job) {
+    running--;
+    const left = active.get(job.channel) - 1;
+    if (left > 0) active.set(job.channel, left);
+    else active.delete(job.channel);
+  }
+
+  function start(job) {
+    takeSlot(job);
+    // Jobs start from whichever job's completion freed the slot, so the log
+    // context is the job's own ID rather than the caller's
+    log.info(`Starting job ${job.id} for channel ${job.channel} (running=${running}, queued=${queued})`, { jobId: job.jobId });
+
+    // Resolves to fn's result. While it runs the job's slot goes to the next
+    // waiting job, if fewer than maxParked jobs have done so already. Once it
+    // settles the job takes its slot back straight away (it still holds its
+    // browser), even if that briefly puts running over concurrency.
+    async function whileWaiting(fn) {
+      awaitingInput++;
+      const park = parked < maxParked;
+      if (park) {
+        parked++;
+        freeSlot(job);
+        log.info(`Job ${job.id} is waiting for input; its slot goes to the next job (parked=${parked})`, { jobId: job.jobId });
+        schedulePump();
+      } else {
+        log.warn(`Job ${job.id} is waiting for input and keeps its slot (${parked} already parked)`, { jobId: job.jobId });
+      }
+      try {
+        return await fn();
+      } finally {
+        awaitingInput--;
+        if (park) {
+          parked--;
+          takeSlot(job);
+          log.info(`Job ${job.id} resumed (running=${running}, parked=${parked})`, { jobId: job.jobId });
+        }
+      }
+    }
+
+    Promise.resolve()
+      .then(async () => {
+        await job.onStart();
+        return job.run({ whileWaiting });
+      })
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        freeSlot(job);
+        log.info(`Finished job ${job.id} (running=${running}, queued=${queued})`, { jobId: job.jobId });
+        schedulePump();
+      });
+  }
+
+  /**
+   * Add a job. `run({ whileWaiting })` does the conversion; `onStart` fires
+   * just before it.
+   * `jobId` is the conversion's log correlation ID, if it has one.
+   * Returns the job's position: 0 when it starts straight away, otherwise its
+   * 1-based place among the waiting jobs. `onPosition(position)` is called
+   * whenever that place changes while the job waits. Throws when the queue
+   * is full.
+   */
+  function enqueue({ channel, run, onStart = async () => {}, onPosition = () => {}, jobId = null }) {
+    if (queued >= maxQueued) {
+      throw new QueueFull(`Conversion queue is full (${queued} waiting)`);
+    }
+
+    let resolve;
+    let reject;
+    const done = new Promise((res, rej) => { resolve = res; reject = rej; });
+    const job = { id: nextId++, jobId, channel, run, onStart, onPosition, resolve, reject, position: null };
+
+    if (!waiting.has(channel)) {
+      waiting.set(channel, []);
+      rotation.push(channel);
+    }
+    waiting.get(channel).push(job);
+    queued++;
+
+    const { starting, pending } = plan();
+    const position = starting.includes(job) ? 0 : pending.indexOf(job) + 1;
+    job.position = position;
+    log.info(`Enqueued job ${job.id} for channel ${channel} at position ${position}`);
+    schedulePump();
+
+    return { id: job.id, position, done };
+  }
+
+  function stats() {
+    return { running, queued, awaitingInput, parked, concurrency, perChannel, maxQueued, maxParked };
+  }
+
+  return { enqueue, stats };
+}
+
+module.exports = { createConversionQueue };
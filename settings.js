@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createJsonFileWriter } = require('./jsonfile');
+
+const log = createLogger('settings');
+
+/**
+ * Per-channel bot settings, stored as one JSON file keyed by channel ID.
+ * Channels without an entry use DEFAULT_SETTINGS, so the bot behaves as it
+ * always has until an admin changes something with `/docsend config`.
+ */
+const DEFAULT_SETTINGS = {
+  // Convert links in this channel at all
+  enabled: true,
+  // 'auto' converts every link; 'on-demand' only when the bot is mentioned
+  mode: 'auto',
+  // DocSend identity for this channel's captures (null: DOCSEND_EMAIL)
+  email: null,
+  // Post PDFs in the message's 'thread' or at the top level of the 'channel'
+  post: 'thread',
+  output: {
+    // Edit the status message as the capture progresses
+    progress: true,
+    // Reuse cached PDFs for reposted decks
+    cache: true,
+    // 'pdf', 'zip' (numbered page images) or 'both'
+    format: 'pdf'
+  }
+};
+
+// `/docsend config set <key> <value>` keys and how to parse their values
+const SETTING_PARSERS = {
+  enabled: value => ({ enabled: parseSwitch(value) }),
+  mode: (value) => {
+    if (!['auto', 'on-demand'].includes(value)) throw new Error('`mode` must be `auto` or `on-demand`');
+    return { mode: value };
+  },
+  email: (value) => {
+    if (value === 'default') return { email: null };
+    const email = parseEmail(value);
+    if (!email) throw new Error('`email` must be an email address or `default`');
+    return { email };
+  },
+  post: (value) => {
+    if (!['thread', 'channel'].includes(value)) throw new Error('`post` must be `thread` or `channel`');
+    return { post: value };
+  },
+  progress: value => ({ output: { progress: parseSwitch(value) } }),
+  cache: value => ({ output: { cache: parseSwitch(value) } }),
+  format: (value) => {
+    if (!['pdf', 'zip', 'both'].includes(value)) throw new Error('`format` must be `pdf`, `zip` or `both`');
+    return { output: { format: value } };
+  }
+};
+
+// An email address as typed in Slack, or null if it isn't one. Slack formats
+// pasted addresses as <mailto:a@b.com|a@b.com>.
+function parseEmail(value) {
+  const email = value.trim().replace(/^<mailto:([^|>]+)(\|[^>]*)?>$/, '$1');
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email) ? email : null;
+}
+
+function parseSwitch(value) {
+  if (['on', 'true', 'yes'].includes(value)) return true;
+  if (['off', 'false', 'no'].includes(value)) return false;
+  throw new Error('Value must be `on` or `off`');
+}
+
+// Turn a `key value` pair from the config command into a settings patch.
+// Throws with a user-facing message for unknown keys or bad values.
+function parseSetting(key, value = '') {
+  const parser = SETTING_PARSERS[key];
+  if (!parser) {
+    throw new Error(`Unknown setting \`${key}\`. Settings: ${Object.keys(SETTING_PARSERS).map(k => `\`${k}\``).join(', ')}`);
+  }
+  return parser(value.trim());
+}
+
+function merge(base, patch) {
+  return {
+    ...base,
+    ...patch,
+    output: { ...base.output, ...(patch.output || {}) }
+  };
+}
+
+function createSettingsStore({ file = path.join(__dirname, 'data', 'channel-settings.json') } = {}) {
+  let channels = {};
+  try {
+    channels = JSON.parse(fs.readFileSync(file, 'utf8'));
+    log.info(`Loaded settings for ${Object.keys(channels).length} channel(s) from ${file}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') log.warn(`Could not load ${file}:`, error.message);
+  }
+
+  const writer = createJsonFileWriter(file);
+  const persist = () => writer.write(channels);
+
+  // Effective settings for a channel (defaults plus overrides)
+  function get(channel) {
+    return merge(DEFAULT_SETTINGS, channels[channel] || {});
+  }
+
+  async function update(channel, patch) {
+    channels[channel] = merge(channels[channel] || { output: {} }, patch);
+    await persist();
+    return get(channel);
+  }
+
+  async function reset(channel) {
+    delete channels[channel];
+    await persist();
+    return get(channel);
+  }
+
+  return { get, update, reset };
+}
+
+module.exports = { createSettingsStore, parseSetting, parseEmail, parseSwitch, DEFAULT_SETTINGS };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDedupeStore, createMemoryBackend } = require('../dedupe');
+
+const HOUR = 60 * 60 * 1000;
+
+// Two stores on one backend stand in for the bot before and after a restart
+function stores({ claimTimeoutMs = 2 * HOUR } = {}) {
+  const backend = createMemoryBackend();
+  return {
+    backend,
+    before: createDedupeStore({ backend, claimTimeoutMs, bootId: 'before' }),
+    after: createDedupeStore({ backend, claimTimeoutMs, bootId: 'after' })
+  };
+}
+
+test('claim: a new key is owned by the caller', async () => {
+  const { before } = stores();
+  assert.strictEqual(await before.claim('event:1'), null);
+  assert.strictEqual((await before.get('event:1')).state, 'in-progress');
+});
+
+test('claim: an in-progress claim from this process is not taken over', async () => {
+  const { before } = stores();
+  await before.claim('event:1');
+  const seen = await before.claim('event:1');
+  assert.strictEqual(seen.state, 'in-progress');
+  assert.strictEqual(seen.bootId, 'before');
+});
+
+test('claim: a done key is never taken over', async () => {
+  const { before, after } = stores();
+  await before.claim('event:1');
+  await before.mark('event:1', 'done');
+  assert.strictEqual((await before.claim('event:1')).state, 'done');
+  assert.strictEqual((await after.claim('event:1')).state, 'done');
+});
+
+test('claim: an in-progress claim left by another boot is taken over', async () => {
+  const { before, after } = stores();
+  await before.claim('event:1');
+  assert.strictEqual(await after.claim('event:1'), null);
+  const entry = await after.get('event:1');
+  assert.strictEqual(entry.state, 'in-progress');
+  assert.strictEqual(entry.bootId, 'after');
+});
+
+test('claim: an in-progress claim older than claimTimeoutMs is taken over', async () => {
+  const { backend, before } = stores();
+  const claimedAt = Date.now() - 3 * HOUR;
+  await backend.set('event:1', { state: 'in-progress', expiresAt: Date.now() + HOUR, claimedAt, bootId: 'before' });
+  assert.strictEqual(await before.claim('event:1'), null);
+  assert.ok((await before.get('event:1')).claimedAt > claimedAt);
+});
+
+test('claim: an in-progress claim younger than claimTimeoutMs is kept', async () => {
+  const { backend, before } = stores();
+  await backend.set('event:1', { state: 'in-progress', expiresAt: Date.now() + HOUR, claimedAt: Date.now() - HOUR, bootId: 'before' });
+  assert.strictEqual((await before.claim('event:1')).state, 'in-progress');
+});
+
+test('claim: concurrent claims of one key have a single owner', async () => {
+  const { before } = stores();
+  const results = await Promise.all([before.claim('event:1'), before.claim('event:1'), before.claim('event:1')]);
+  assert.strictEqual(results.filter(result => result === null).length, 1);
+});
+
+test('release: a released key can be claimed again', async () => {
+  const { before } = stores();
+  await before.claim('event:1');
+  await before.release('event:1');
+  assert.strictEqual(await before.get('event:1'), null);
+  assert.strictEqual(await before.claim('event:1'), null);
+});
+
+test('get: expired entries are ignored', async () => {
+  const { backend, before } = stores();
+  await backend.set('event:1', { state: 'done', expiresAt: Date.now() - 1, claimedAt: Date.now() - HOUR, bootId: 'before' });
+  assert.strictEqual(await before.get('event:1'), null);
+  assert.strictEqual(await before.claim('event:1'), null);
+});
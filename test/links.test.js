@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLinkParser } = require('../links');
+
+const parser = createLinkParser({ customDomains: ['docs.example.com', ' Deals.Example.org '] });
+
+// message -> every link parseMessage should return, in order
+const CASES = [
+  {
+    name: 'Slack <url|label>',
+    message: 'Deck: <https://docsend.com/view/abc123|our deck>',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'Slack <url>',
+    message: 'Deck: <https://docsend.com/view/abc123>',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'bare URL',
+    message: 'https://docsend.com/view/abc123',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'trailing punctuation',
+    message: 'Have a look at https://docsend.com/view/abc123. Or (https://docsend.com/view/def456), thanks!',
+    links: [
+      { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null },
+      { url: 'https://docsend.com/view/def456', docId: 'def456', kind: 'document', passcode: null }
+    ]
+  },
+  {
+    name: 'trailing slash',
+    message: 'https://docsend.com/view/abc123/',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'query string and fragment',
+    message: 'https://docsend.com/view/abc123?utm_source=slack#page=3',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'upper-case host',
+    message: 'https://DocSend.COM/view/abc123',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'http: is upgraded to https:',
+    message: 'http://docsend.com/view/abc123',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'docsend.com subdomain',
+    message: 'https://acme.docsend.com/view/abc123',
+    links: [{ url: 'https://acme.docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'document page path',
+    message: 'https://docsend.com/view/abc123/d/xyz789',
+    links: [{ url: 'https://docsend.com/view/abc123/d/xyz789', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'Space short form /s/',
+    message: 'https://docsend.com/s/room42',
+    links: [{ url: 'https://docsend.com/view/s/room42', docId: 's-room42', kind: 'space', passcode: null }]
+  },
+  {
+    name: 'Space /view/s/',
+    message: 'https://docsend.com/view/s/room42',
+    links: [{ url: 'https://docsend.com/view/s/room42', docId: 's-room42', kind: 'space', passcode: null }]
+  },
+  {
+    name: 'document inside a Space',
+    message: 'https://docsend.com/view/s/room42/d/doc7',
+    links: [{ url: 'https://docsend.com/view/s/room42/d/doc7', docId: 'doc7', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'custom /v/team/name link',
+    message: 'https://docsend.com/v/acme/series-a',
+    links: [{ url: 'https://docsend.com/v/acme/series-a', docId: 'acme/series-a', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'custom /v/team link',
+    message: 'https://docsend.com/v/acme',
+    links: [{ url: 'https://docsend.com/v/acme', docId: 'acme', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'configured custom domain',
+    message: '<https://docs.example.com/view/abc123|deck>',
+    links: [{ url: 'https://docs.example.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'custom domain is matched case-insensitively and trimmed',
+    message: 'https://DEALS.example.org/s/room42',
+    links: [{ url: 'https://deals.example.org/view/s/room42', docId: 's-room42', kind: 'space', passcode: null }]
+  },
+  {
+    name: 'unconfigured domain',
+    message: 'https://docs.other.com/view/abc123',
+    links: []
+  },
+  {
+    name: 'lookalike host with docsend.com as a prefix',
+    message: 'https://docsend.com.evil.com/view/abc123',
+    links: []
+  },
+  {
+    name: 'lookalike host without the dot',
+    message: 'https://evildocsend.com/view/abc123',
+    links: []
+  },
+  {
+    name: 'docsend.com in the path of another host',
+    message: 'https://evil.com/docsend.com/view/abc123',
+    links: []
+  },
+  {
+    name: 'docsend.com as userinfo',
+    message: 'https://docsend.com@evil.com/view/abc123',
+    links: []
+  },
+  {
+    name: 'non-document DocSend page',
+    message: 'https://docsend.com/pricing',
+    links: []
+  },
+  {
+    name: 'no links',
+    message: 'no links here',
+    links: []
+  },
+  {
+    name: 'duplicate links are returned once',
+    message: '<https://docsend.com/view/abc123> and again https://docsend.com/view/abc123/?x=1',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null }]
+  },
+  {
+    name: 'duplicate link keeps the passcode given with either copy',
+    message: 'https://docsend.com/view/abc123 and https://docsend.com/view/abc123 pw:hunter2 and https://docsend.com/view/def456',
+    links: [
+      { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: 'hunter2' },
+      { url: 'https://docsend.com/view/def456', docId: 'def456', kind: 'document', passcode: null }
+    ]
+  },
+  {
+    name: 'message-wide pw: with one link',
+    message: 'pw:hunter2 https://docsend.com/view/abc123',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: 'hunter2' }]
+  },
+  {
+    name: 'pw: after the only link',
+    message: 'https://docsend.com/view/abc123 PW:Hunter2',
+    links: [{ url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: 'Hunter2' }]
+  },
+  {
+    name: 'per-link pw: with several links',
+    message: 'https://docsend.com/view/abc123 pw:first\nhttps://docsend.com/s/room42 pw:second',
+    links: [
+      { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: 'first' },
+      { url: 'https://docsend.com/view/s/room42', docId: 's-room42', kind: 'space', passcode: 'second' }
+    ]
+  },
+  {
+    name: 'pw: applies only to the link before it when there are several',
+    message: 'https://docsend.com/view/abc123 https://docsend.com/view/def456 pw:second',
+    links: [
+      { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null },
+      { url: 'https://docsend.com/view/def456', docId: 'def456', kind: 'document', passcode: 'second' }
+    ]
+  },
+  {
+    name: 'pw: before the first of several links belongs to none',
+    message: 'pw:nobody https://docsend.com/view/abc123 https://docsend.com/view/def456',
+    links: [
+      { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document', passcode: null },
+      { url: 'https://docsend.com/view/def456', docId: 'def456', kind: 'document', passcode: null }
+    ]
+  }
+];
+
+for (const { name, message, links } of CASES) {
+  test(`parseMessage: ${name}`, () => {
+    assert.deepStrictEqual(parser.parseMessage(message), links);
+  });
+}
+
+// raw URL -> parseUrl result
+const URL_CASES = [
+  ['<https://docsend.com/view/abc123|deck>', { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document' }],
+  ['https://docsend.com/view/abc123).', { url: 'https://docsend.com/view/abc123', docId: 'abc123', kind: 'document' }],
+  ['ftp://docsend.com/view/abc123', null],
+  ['not a url', null],
+  ['', null]
+];
+
+for (const [raw, expected] of URL_CASES) {
+  test(`parseUrl: ${JSON.stringify(raw)}`, () => {
+    assert.deepStrictEqual(parser.parseUrl(raw), expected);
+  });
+}
+
+test('parseMessage handles a missing message', () => {
+  assert.deepStrictEqual(parser.parseMessage(undefined), []);
+});
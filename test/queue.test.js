@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createConversionQueue } = require('../queue');
+const { QueueFull } = require('../errors');
+
+// Jobs whose `run` waits until the test finishes them, recording start order
+function harness(options) {
+  const queue = createConversionQueue(options);
+  const started = [];
+  const finishers = new Map();
+  const positions = new Map();
+
+  function add(name, channel) {
+    positions.set(name, []);
+    const job = queue.enqueue({
+      channel,
+      run: () => new Promise((resolve) => {
+        started.push(name);
+        finishers.set(name, resolve);
+      }),
+      onPosition: position => positions.get(name).push(position)
+    });
+    return job;
+  }
+
+  // Finish a running job and let the queue start the next ones
+  async function finish(name) {
+    finishers.get(name)();
+    await settle();
+  }
+
+  return { queue, add, finish, started, positions };
+}
+
+// The queue starts jobs on setImmediate after enqueue or completion
+function settle() {
+  return new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+}
+
+test('enqueue: the first job starts straight away, the rest are numbered', async () => {
+  const { add, started } = harness({ concurrency: 1, perChannel: 1 });
+  assert.strictEqual(add('a1', 'A').position, 0);
+  assert.strictEqual(add('a2', 'A').position, 1);
+  assert.strictEqual(add('a3', 'A').position, 2);
+  await settle();
+  assert.deepStrictEqual(started, ['a1']);
+});
+
+test('scheduling: waiting jobs are served round-robin across channels', async () => {
+  const { add, finish, started } = harness({ concurrency: 1, perChannel: 1 });
+  add('a1', 'A');
+  add('a2', 'A');
+  add('a3', 'A');
+  add('b1', 'B');
+  add('c1', 'C');
+  await settle();
+  // A was just served, so B and C go before A's next job
+  for (const name of ['a1', 'b1', 'c1', 'a2', 'a3']) {
+    assert.strictEqual(started[started.length - 1], name);
+    await finish(name);
+  }
+  assert.deepStrictEqual(started, ['a1', 'b1', 'c1', 'a2', 'a3']);
+});
+
+test('scheduling: no channel holds more than perChannel slots', async () => {
+  const { add, finish, started } = harness({ concurrency: 2, perChannel: 1 });
+  add('a1', 'A');
+  add('a2', 'A');
+  add('b1', 'B');
+  await settle();
+  assert.deepStrictEqual(started, ['a1', 'b1']);
+  await finish('b1');
+  assert.deepStrictEqual(started, ['a1', 'b1']);
+  await finish('a1');
+  assert.deepStrictEqual(started, ['a1', 'b1', 'a2']);
+});
+
+test('positions: waiting jobs are told their new place when others overtake them', async () => {
+  const { add, positions } = harness({ concurrency: 1, perChannel: 1 });
+  add('a1', 'A');
+  assert.strictEqual(add('a2', 'A').position, 1);
+  assert.strictEqual(add('a3', 'A').position, 2);
+  await settle();
+  assert.strictEqual(add('b1', 'B').position, 2);
+  assert.strictEqual(add('c1', 'C').position, 3);
+  await settle();
+  // a3 goes behind b1 and c1; a2 keeps its place and hears nothing
+  assert.deepStrictEqual(positions.get('a3'), [4]);
+  assert.deepStrictEqual(positions.get('a2'), []);
+});
+
+test('positions: every waiting job moves up when a job finishes', async () => {
+  const { add, finish, positions } = harness({ concurrency: 1, perChannel: 1 });
+  add('a1', 'A');
+  add('a2', 'A');
+  add('b1', 'B');
+  await settle();
+  // b1 overtakes a2 (1 -> 2); once a1 finishes b1 starts and a2 moves up
+  await finish('a1');
+  assert.deepStrictEqual(positions.get('a2'), [2, 1]);
+  assert.deepStrictEqual(positions.get('b1'), []);
+});
+
+test('enqueue: throws QueueFull once maxQueued jobs are waiting', async () => {
+  const { queue, add } = harness({ concurrency: 1, perChannel: 1, maxQueued: 2 });
+  add('a1', 'A');
+  await settle();
+  add('a2', 'A');
+  add('a3', 'A');
+  assert.throws(() => add('a4', 'A'), QueueFull);
+  assert.deepStrictEqual(
+    { running: queue.stats().running, queued: queue.stats().queued },
+    { running: 1, queued: 2 }
+  );
+});
+
+test('done: resolves with the job result and rejects with its error', async () => {
+  const queue = createConversionQueue({ concurrency: 1 });
+  const ok = queue.enqueue({ channel: 'A', run: async () => 'result' });
+  const failed = queue.enqueue({ channel: 'A', run: async () => { throw new Error('boom'); } });
+  assert.strictEqual(await ok.done, 'result');
+  await assert.rejects(failed.done, /boom/);
+});
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { ImapFlow } = require('imapflow');
+const { createLogger } = require('./logger');
+
+const log = createLogger('verification');
+
+/**
+ * Where DocSend's email verification codes come from. Some documents mail a
+ * one-time code to the viewer's address and won't open until it is entered;
+ * convertDocSendToPDF asks a provider for it through `requestVerificationCode`.
+ *
+ * A provider is { name, getCode({ email, url, since }) }, resolving to the
+ * code or null when none turns up in time. `since` is when the capture
+ * reached the email gate, so codes from earlier captures are never reused.
+ *
+ * - imap:    polls a mailbox that receives DOCSEND_EMAIL's mail
+ * - maildir: polls a local Maildir (e.g. delivered by the host's MTA)
+ * - slack:   DMs an operator who reads the email and types the code in
+ */
+
+// Mail servers' clocks and ours don't quite agree
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Header block as lower-case name -> value, with folded lines joined
+function parseHeaders(head) {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const match = line.match(/^([^:\s]+):\s*(.*)$/);
+    if (match) headers[match[1].toLowerCase()] = match[2];
+  }
+  return headers;
+}
+
+function decodeBody(body, encoding = '') {
+  if (/base64/i.test(encoding)) return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  if (/quoted-printable/i.test(encoding)) {
+    return body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  return body;
+}
+
+// Readable text of a raw RFC 822 message: text parts of a multipart message
+// decoded and joined, HTML reduced to its text
+function messageText(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(split === -1 ? raw : raw.slice(0, split));
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const type = headers['content-type'] || 'text/plain';
+
+  const boundary = type.match(/boundary="?([^";]+)"?/i);
+  if (/^multipart\//i.test(type) && boundary) {
+    return body.split(`--${boundary[1]}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => messageText(part.replace(/^\r?\n/, '')))
+      .join('\n');
+  }
+  if (!/^text\//i.test(type)) return '';
+  const text = decodeBody(body, headers['content-transfer-encoding']);
+  return /^text\/html/i.test(type)
+    ? text.replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ')
+    : text;
+}
+
+// The code in a verification email: digits following the word "code", or
+// failing that the only standalone six-digit number
+function extractVerificationCode(text) {
+  const near = text.match(/code\D{0,40}?\b(\d{4,8})\b/i);
+  if (near) return near[1];
+  const sixDigits = [...new Set(text.match(/\b\d{6}\b/g) || [])];
+  return sixDigits.length === 1 ? sixDigits[0] : null;
+}
+
+// The code from a raw message, if it is a DocSend email to `email`
+function codeFromMessage(raw, email) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(split === -1 ? raw : raw.slice(0, split));
+  if (!/docsend/i.test(headers.from || '')) return null;
+  if (email && headers.to && !headers.to.toLowerCase().includes(email.toLowerCase())) return null;
+  return extractVerificationCode(`${headers.subject || ''}\n${messageText(raw)}`);
+}
+
+// Run `check` every `pollMs` until it finds a code or `timeoutMs` runs out
+async function poll(name, check, { timeoutMs, pollMs }) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const code = await check();
+      if (code) {
+        log.info(`Code found via ${name}`);
+        return code;
+      }
+    } catch (error) {
+      log.warn(`${name} check failed:`, error.message);
+    }
+    await sleep(Math.max(0, Math.min(pollMs, deadline - Date.now())));
+  }
+  log.info(`No code via ${name} within ${Math.round(timeoutMs / 1000)}s`);
+  return null;
+}
+
+function createImapCodeProvider({
+  host,
+  port = 993,
+  secure = true,
+  user,
+  password,
+  mailbox = 'INBOX',
+  timeoutMs = 5 * 60 * 1000,
+  pollMs = 10 * 1000
+}) {
+  async function check({ email, since }) {
+    const client = new ImapFlow({ host, port, secure, auth: { user, pass: password }, logger: false });
+    await client.connect();
+    try {
+      const lock = await client.getMailboxLock(mailbox);
+      try {
+        // IMAP SINCE only has day granularity; the exact cut-off is applied below
+        const uids = await client.search({ since: new Date(since - 24 * 60 * 60 * 1000), from: 'docsend' }, { uid: true }) || [];
+        for (const uid of uids.slice(-20).reverse()) {
+          const message = await client.fetchOne(uid, { source: true, internalDate: true }, { uid: true });
+          if (!message || new Date(message.internalDate).getTime() < since - CLOCK_SKEW_MS) continue;
+          const code = codeFromMessage(message.source.toString('utf8'), email);
+          if (code) return code;
+        }
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout().catch(() => {});
+    }
+    return null;
+  }
+
+  return {
+    name: 'imap',
+    getCode: opts => poll('imap', () => check(opts), { timeoutMs, pollMs })
+  };
+}
+
+function createMaildirCodeProvider({ dir, timeoutMs = 5 * 60 * 1000, pollMs = 2000 }) {
+  async function check({ email, since }) {
+    const files = [];
+    for (const sub of ['new', 'cur']) {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(path.join(dir, sub));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      for (const name of names) {
+        const file = path.join(dir, sub, name);
+        const { mtimeMs } = await fs.promises.stat(file);
+        if (mtimeMs >= since - CLOCK_SKEW_MS) files.push({ file, mtimeMs });
+      }
+    }
+    // Newest first, so a resent code wins over the one it replaced
+    for (const { file } of files.sort((a, b) => b.mtimeMs - a.mtimeMs)) {
+      const code = codeFromMessage(await fs.promises.readFile(file, 'utf8'), email);
+      if (code) return code;
+    }
+    return null;
+  }
+
+  return {
+    name: 'maildir',
+    getCode: opts => poll('maildir', () => check(opts), { timeoutMs, pollMs })
+  };
+}
+
+// `prompts` is a createSlackPrompts instance; `user` the operator to ask.
+// getCode also needs `document`, the label the prompt names the document by.
+function createSlackCodeProvider({ prompts, user, timeoutMs = 5 * 60 * 1000 }) {
+  return {
+    name: 'slack',
+    getCode: ({ email, document }) => prompts.ask({ kind: 'verification', user, document, email, timeout: timeoutMs })
+  };
+}
+
+// The provider VERIFICATION_PROVIDER selects, or null when none is configured.
+// The Slack provider needs `prompts`, so debug.js can't use it.
+function codeProviderFromEnv(env, { prompts = null } = {}) {
+  const timeoutMs = Number(env.VERIFICATION_TIMEOUT_MINUTES || 5) * 60 * 1000;
+  const provider = env.VERIFICATION_PROVIDER || '';
+  if (provider === 'imap') {
+    return createImapCodeProvider({
+      host: env.VERIFICATION_IMAP_HOST,
+      port: Number(env.VERIFICATION_IMAP_PORT || 993),
+      secure: env.VERIFICATION_IMAP_SECURE !== 'false',
+      user: env.VERIFICATION_IMAP_USER,
+      password: env.VERIFICATION_IMAP_PASSWORD,
+      mailbox: env.VERIFICATION_IMAP_MAILBOX || 'INBOX',
+      timeoutMs
+    });
+  }
+  if (provider === 'maildir') {
+    return createMaildirCodeProvider({ dir: env.VERIFICATION_MAILDIR, timeoutMs });
+  }
+  if (provider === 'slack' && prompts && env.VERIFICATION_SLACK_USER) {
+    return createSlackCodeProvider({ prompts, user: env.VERIFICATION_SLACK_USER, timeoutMs });
+  }
+  if (provider === 'slack' && prompts) {
+    log.warn('VERIFICATION_PROVIDER=slack but VERIFICATION_SLACK_USER is not set; verification codes are disabled');
+  } else if (provider && provider !== 'slack') {
+    log.warn(`Unknown VERIFICATION_PROVIDER "${provider}"; verification codes are disabled`);
+  }
+  return null;
+}
+
+module.exports = {
+  createImapCodeProvider,
+  createMaildirCodeProvider,
+  createSlackCodeProvider,
+  codeProviderFromEnv,
+  extractVerificationCode
+};